@@ -3,28 +3,29 @@
 
 "use strict";
 
-const chokidar = require("chokidar");
-const path = require("path");
-const babel = require("@babel/core");
-const fs = require("fs");
 const os = require("os");
-const fork = require("child_process").fork;
+const path = require("path");
 const { onExit } = require("signal-exit");
-const util = require("util");
-const execSync = require("child_process").execSync;
 const commander = require("commander");
-const debounce = require("lodash.debounce");
 const isString = require("lodash.isstring");
 const isRegExp = require("lodash.isregexp");
-const chalk = require("chalk");
 const Debug = require("debug");
 const stringArgv = require("string-argv").parseArgsStringToArgv;
+const { createBabelWatch } = require("./index");
+const { createLogger } = require("./logger");
+const { findConfig } = require("./config-file");
+const { createEventStream } = require("./event-stream");
+const {
+  defaultControlAddress,
+  createControlServer,
+  runControlCommand
+} = require("./control");
 
 const debugInit = Debug("babel-watch:init");
-const debugCompile = Debug("babel-watch:compile");
-const debugWatcher = Debug("babel-watch:watcher");
 
-const DEBOUNCE_DURATION = 100; //milliseconds
+const GRAPH_COMMAND = "graph";
+const USAGE_COMMAND = "usage";
+const CONTROL_COMMAND = "ctl";
 
 const program = new commander.Command("babel-watch");
 
@@ -50,14 +51,43 @@ function arrayify(val) {
   throw new TypeError("illegal type for arrayify");
 }
 
+// Parses `--entry name=script [args]`
+function parseEntry(val) {
+  const separator = val.indexOf("=");
+  const [script, ...args] = stringArgv(val.slice(separator + 1));
+  if (separator <= 0 || !script) {
+    throw new TypeError(
+      `Invalid entry "${val}", expected a name and a script like "api=src/api.js"`
+    );
+  }
+  return [val.slice(0, separator), { script, args }];
+}
+
+// Parses `--rule files=action[:argument]`, the argument being the signal, the
+// message event or the command, e.g. "views/**=signal:SIGUSR2"
+function parseRule(val) {
+  const separator = val.indexOf("=");
+  if (separator <= 0) {
+    throw new TypeError(
+      `Invalid rule "${val}", expected files and an action like "views/**=signal:SIGUSR2"`
+    );
+  }
+  const files = val.slice(0, separator);
+  const [action, ...rest] = val.slice(separator + 1).split(":");
+  const argument = rest.join(":");
+  const rule = { files, action };
+  if (action === "signal") return { ...rule, signal: argument };
+  if (action === "command") return { ...rule, command: argument };
+  if (action === "message" && argument) return { ...rule, event: argument };
+  return rule;
+}
+
 function booleanify(val) {
   if (val === "true" || val == 1) return true;
   if (val === "false" || val == 0 || !val) return false;
   return val;
 }
 
-class IgnoredFileError extends Error {}
-
 program.option(
   "-d, --debug [port]",
   "Enable debug mode (deprecated) with optional port"
@@ -65,6 +95,10 @@ program.option(
 program.option("-B, --debug-brk", "Enable debug break mode (deprecated)");
 program.option("-I, --inspect [address]", "Enable inspect mode");
 program.option("-X, --inspect-brk [address]", "Enable inspect break mode");
+program.option(
+  "--inspect-proxy",
+  'Let debuggers attach to a proxy on the "--inspect" address (127.0.0.1:9229 by default) which follows the app across restarts'
+);
 program.option(
   "-o, --only [globs]",
   "Matching files will *only* be transpiled",
@@ -77,6 +111,12 @@ program.option(
   arrayify,
   ["node_modules"]
 );
+program.option(
+  "--transpile-modules [packages]",
+  'Packages in node_modules to transpile regardless of "--only" and "--ignore", as a comma separated list of names or globs like "@acme/*". Packages linked into node_modules (e.g. workspaces) are transpiled and watched at their real location',
+  arrayify,
+  []
+);
 program.option(
   "-e, --extensions [extensions]",
   "List of extensions to hook into",
@@ -123,7 +163,19 @@ program.option(
 );
 program.option(
   "--before-restart <command>",
-  'Set a custom command to be run before each restart, for example "npm run lint"'
+  'Set a custom command to be run before each restart, for example "npm run lint". When it fails, the app waits for the next change to start'
+);
+program.option(
+  "--after-start <command>",
+  "Set a custom command to be run after each start of the app"
+);
+program.option(
+  "--on-crash <command>",
+  "Set a custom command to be run when the app exits with an error"
+);
+program.option(
+  "--on-compile-error <command>",
+  "Set a custom command to be run when a file fails to compile"
 );
 program.option(
   "--restart-timeout <ms>",
@@ -131,7 +183,110 @@ program.option(
   Number,
   2000
 );
+program.option(
+  "--hot",
+  "Replace changed modules in the running app instead of restarting it, when modules accept it through `module.hot`"
+);
+program.option(
+  "--crash-policy <policy>",
+  'What to do when the app exits on its own. One of "wait" (for a file change), "restart" (with exponential backoff) or "exit" (babel-watch exits with the exit code of the app)',
+  "wait"
+);
+program.option(
+  "--crash-max-restarts <n>",
+  'Number of consecutive restarts after crashes before "--crash-policy restart" gives up',
+  Number,
+  5
+);
+program.option(
+  "--crash-backoff <ms>",
+  'Delay before the first restart after a crash with "--crash-policy restart", doubled after each consecutive crash',
+  Number,
+  1000
+);
+program.option(
+  "--max-memory <mb>",
+  'Warn when the memory usage (RSS) of the app exceeds "mb" megabytes, or restart it with "--limit-action restart"',
+  Number
+);
+program.option(
+  "--max-cpu <percent>",
+  'Warn when the app uses more than "percent" of a CPU core for "--max-cpu-duration", or restart it with "--limit-action restart"',
+  Number
+);
+program.option(
+  "--max-cpu-duration <ms>",
+  'How long the app may use more CPU than "--max-cpu", or keep its event loop blocked',
+  Number,
+  10000
+);
+program.option(
+  "--limit-action <action>",
+  'What to do when the app exceeds "--max-memory" or "--max-cpu". One of "warn" or "restart"',
+  "warn"
+);
+program.option(
+  "--kill-signal <signal>",
+  "Signal used to stop the app on restart. Apps listening for the `babel-watch-shutdown` process event are asked to shut down through IPC instead",
+  "SIGHUP"
+);
+program.option(
+  "--zero-downtime",
+  "On restart, start the new app first and only stop the previous one once the new app is ready. The previous app keeps running if the new one doesn't get ready"
+);
+program.option(
+  "--ready-port <[host:]port>",
+  'With "--zero-downtime", consider the new app ready once the port accepts connections instead of waiting for the app to emit the `babel-watch-ready` process event'
+);
+program.option(
+  "--ready-timeout <ms>",
+  'With "--zero-downtime", the maximum time to wait for the new app to get ready',
+  Number,
+  10000
+);
+program.option(
+  "--rule <files=action>",
+  'What happens when files matching the glob "files" change instead of restarting: "restart", "signal:<signal>" sent to the app, "message[:<event>]" sent to the app over IPC, "command:<command>" to run or "ignore". Use once for each rule, the first matching rule applies',
+  collect,
+  []
+);
+program.option(
+  "--env-file <file>",
+  "Load environment variables from a .env file into the app, restarting it when the file changes. Use once for each file, later files override earlier ones and variables already set in the environment override them all",
+  collect,
+  []
+);
+program.option(
+  "--entry <name=script>",
+  'Run "script" as a separate app named "name", sharing the watcher and compiled files with the other entries. Use once for each entry. Arguments may follow the script, e.g. --entry "api=src/api.js --port 8080"',
+  collect,
+  []
+);
+program.option(
+  "--stats",
+  "Show how long each restart took, which files were compiled or served from cache, and the slowest files to compile"
+);
+program.option(
+  "--stats-file <file>",
+  "Write stats of all restarts so far to a JSON file after each restart"
+);
+program.option(
+  "--events <file|fd>",
+  'Write events (file changes, compile errors, restarts, app exits...) as newline-delimited JSON to "file", or to the file descriptor "fd", for editors and other tools'
+);
+program.option(
+  "--control",
+  'Listen for commands sent with "babel-watch ctl", on a Unix socket (a named pipe on Windows) derived from the directory of the config file, or the current directory'
+);
+program.option(
+  "--control-address <address>",
+  'Socket path, or localhost port when "address" is a number, "--control" and "babel-watch ctl" use instead of the default one'
+);
 program.option("--no-colors", "Don't use console colors");
+program.option(
+  "--cache-dir <dir>",
+  'Store compiled files in directory "dir" so they can be reused by the next babel-watch sessions'
+);
 program.option(
   "--restart-command <command>",
   "Set a string to issue a manual restart. Set to `false` to pass stdin directly to process.",
@@ -184,435 +339,205 @@ program.on("--help", () => {
   https://github.com/kmagiera/babel-watch
   `);
 });
-program.parse(process.argv);
-
-const cwd = process.cwd();
-
-const only = program.only;
-const ignore = program.ignore;
-const configFile = program.configFile
-  ? path.resolve(cwd, program.configFile)
-  : undefined;
-const rootMode = program.rootMode;
-// We always transpile the default babel extensions. The option only adds more.
-const transpileExtensions = babel.DEFAULT_EXTENSIONS.concat(
-  program.extensions.map(ext => ext.trim())
-);
-const debug = Boolean(
-  program.debug || program.debugBrk || program.inspect || program.inspectBrk
-);
-const restartTimeout = Number.isFinite(program.restartTimeout)
-  ? program.restartTimeout
-  : 2000;
-
-const mainModule = program.args[0];
-if (!mainModule) {
-  logError(
-    "Main script not specified. If you are using `--inspect` or similar options, please add a `--` like so:"
+// Keep track of the options given on the command line, they take priority
+// over the config file
+const cliOptions = new Set();
+program.options.forEach(option => {
+  program.on(`option:${option.name()}`, () =>
+    cliOptions.add(option.attributeName())
   );
-  logError("> babel-watch --inspect -- app.js");
-  process.exit(1);
-}
-if (!mainModule.startsWith(".") && !path.isAbsolute(mainModule)) {
-  program.args[0] = path.join(cwd, mainModule);
-}
-
-let childApp, pipeFd, pipeFilename;
-
-const cache = {};
-const errors = {};
-const ignored = {};
-
-const watcher = chokidar.watch(program.watch, {
-  persistent: true,
-  ignored: program.exclude,
-  ignoreInitial: true,
-  usePolling: program.usePolling
-});
-let watcherInitialized = program.watch.length === 0;
-debugInit("Initializing babel-watch with options: %j", program.opts());
-
-onExit(function (code, signal) {
-  debugInit(`${signal || `exitCode ${code}`} received, closing.`);
-  watcher.close();
-  killApp();
-  process.exit(code || 0);
-});
-
-watcher.on("change", handleChange);
-watcher.on("add", handleChange);
-watcher.on("unlink", handleChange);
-
-watcher.on("ready", () => {
-  if (!watcherInitialized) {
-    watcherInitialized = true;
-    restartApp();
-  }
-});
-
-watcher.on("error", error => {
-  logError("Watcher failure", error);
-  process.exit(1);
 });
+program.parse(process.argv);
 
-// Restart the app when a sequence of keys has been pressed ('rs' by refault)
-if (program.restartCommand) {
-  process.stdin.setEncoding("utf8");
-  process.stdin.on("data", data => {
-    if (String(data).trim() === program.restartCommand) {
-      restartApp();
+// Config file values accept the same formats as the command line as well as
+// arrays. Other values, including functions (e.g. `exclude` or `ignore`
+// predicates), are passed as they are. Paths are relative to the config file.
+function normalizeConfig(config, dirname) {
+  const normalized = { ...config };
+  const resolvePath = value =>
+    isString(value) ? path.resolve(dirname, value) : value;
+  ["only", "ignore", "transpileModules", "extensions"].forEach(name => {
+    if (isString(normalized[name])) {
+      normalized[name] = arrayify(normalized[name]);
     }
   });
-}
-
-const debouncedRestartApp = debounce(restartApp, DEBOUNCE_DURATION);
-let changedFiles = [];
-
-function handleChange(file) {
-  const absoluteFile = path.isAbsolute(file) ? file : path.join(cwd, file);
-  const isUsed = Boolean(cache[absoluteFile] || errors[absoluteFile]);
-  const isIgnored = shouldIgnore(file);
-  if (isUsed) {
-    delete cache[absoluteFile];
-    delete errors[absoluteFile];
-  }
-  if (!isIgnored) {
-    changedFiles.push(file); // for logging
-    // file is in use by the app or explicitly watched, let's restart!
-    debouncedRestartApp();
+  ["watch", "exclude", "envFile"].forEach(name => {
+    if (normalized[name] != null && !Array.isArray(normalized[name])) {
+      normalized[name] = [normalized[name]];
+    }
+  });
+  ["script", "configFile", "cacheDir", "statsFile"].forEach(name => {
+    if (normalized[name]) normalized[name] = resolvePath(normalized[name]);
+  });
+  ["watch", "envFile"].forEach(name => {
+    if (normalized[name]) normalized[name] = normalized[name].map(resolvePath);
+  });
+  // a number is a file descriptor or a port
+  ["events", "controlAddress"].forEach(name => {
+    if (isString(normalized[name]) && !/^\d+$/.test(normalized[name])) {
+      normalized[name] = resolvePath(normalized[name]);
+    }
+  });
+  if (normalized.entries) {
+    const entries = {};
+    Object.keys(normalized.entries).forEach(name => {
+      const entry = normalized.entries[name];
+      entries[name] = isString(entry)
+        ? resolvePath(entry)
+        : { ...entry, script: resolvePath(entry && entry.script) };
+    });
+    normalized.entries = entries;
   }
-  debugWatcher(
-    "Change detected in file: %s. File used by program (%s). File ignored (%s).",
-    file,
-    isUsed,
-    isIgnored
-  );
+  return normalized;
 }
 
-function generateTempFilename() {
-  const now = new Date();
-  return path.join(
-    os.tmpdir(),
-    [
-      now.getFullYear(),
-      now.getMonth(),
-      now.getDate(),
-      "-",
-      process.pid,
-      "-",
-      (Math.random() * 0x100000000 + 1).toString(36)
-    ].join("")
+let configFile;
+try {
+  configFile = findConfig(process.cwd());
+} catch (e) {
+  createLogger(program.colors).logError(e.message);
+  process.exit(1);
+}
+const options = { ...program.opts() };
+if (configFile) {
+  Object.assign(
+    options,
+    normalizeConfig(configFile.config, path.dirname(configFile.filepath))
   );
+  cliOptions.forEach(name => (options[name] = program.opts()[name]));
+  debugInit("Loaded config file %s", configFile.filepath);
 }
 
-async function handleFileLoad(filename) {
-  const cached = cache[filename];
-  if (cached) {
-    const stats = fs.statSync(filename);
-    if (stats.mtime.getTime() === cached.mtime) {
-      return [cache[filename].code, cache[filename].map];
-    }
-  }
-  if (shouldIgnore(filename)) return [];
+const { log, logError } = createLogger(options.colors);
 
-  try {
-    const result = await compile(filename);
-    if (!result) {
-      throw new Error("No Result from Babel for file: " + filename);
-    }
-    debugCompile("Compiled file: %s. Success? true", filename);
-    const stats = fs.statSync(filename);
-    cache[filename] = {
-      code: result.code,
-      map: result.map,
-      mtime: stats.mtime.getTime()
-    };
-    delete errors[filename];
-    return [result.code, result.map];
-  } catch (err) {
-    debugCompile("Compiled file: %s. Success? false", filename);
-    // Intentional ignore
-    if (err instanceof IgnoredFileError) {
-      ignored[filename] = true;
-      debugCompile(
-        "File %s ignored due to extension or intentional ignore rule.",
-        filename
+// A number is a port on localhost, see control.js
+const controlAddress =
+  options.controlAddress != null
+    ? String(options.controlAddress)
+    : defaultControlAddress(
+        configFile ? path.dirname(configFile.filepath) : process.cwd()
       );
-    } else {
-      logError("Babel compilation error", err.stack);
-      errors[filename] = true;
-    }
-    return [];
-  }
-}
-
-// Kills the child app. Accepts a callback if you want to start again
-// once it's dead.
-function killApp(cb) {
-  let exited = false;
-  // Bail out; not started yet or already killed
-  if (!childApp) {
-    onExit();
-    return;
-  }
 
-  function clearState() {
-    if (pipeFd) fs.closeSync(pipeFd); // silently close pipe fd
-    pipeFd = undefined;
-    if (pipeFilename) fs.unlinkSync(pipeFilename); // silently remove old pipe file
-    pipeFilename = undefined;
-    childApp = undefined;
-  }
-
-  function onExit() {
-    if (exited) return;
-    exited = true;
-    clearState();
-    cb && cb();
-  }
-
-  // Are we still running?
-  //
-  // From https://nodejs.org/api/process.html#processkillpid-signal
-  //
-  // This method will throw an error if the target pid does not exist.
-  // As a special case, a signal of 0 can be used to test for the existence of a process.
-  //
-  let isRunning = true;
+function start() {
+  // A script given as an argument takes precedence over entries
+  const mainModule = program.args[0] || options.script;
+  let entries = program.args[0] ? undefined : options.entries;
+  let rules = options.rules || [];
   try {
-    process.kill(childApp.pid, 0);
+    if (!program.args[0] && options.entry.length) {
+      entries = Object.fromEntries(options.entry.map(parseEntry));
+    }
+    if (options.rule.length) rules = options.rule.map(parseRule);
   } catch (e) {
-    isRunning = false;
+    logError(e.message);
+    process.exit(1);
   }
-  if (isRunning) {
-    // Restart once it exits
-    childApp.once("exit", onExit);
-
-    // It's still running. Try to politely kill it.
-    try {
-      childApp.kill("SIGHUP");
-    } catch (error) {
-      childApp.kill("SIGKILL");
-    }
-
-    // It will restart when the signal comes through.
-    // However, if the child is listening to SIGHUP and ignoring it or cleaning up,
-    // set a timer to ensure we do actually call this closed.
-    // Use option `--restart-timeout` to adjust the timeout here.
-    setTimeout(() => {
-      if (exited) return;
-      // Is it still around? If so, make sure it dies.
-      if (childApp) {
-        log("Child app took too long to close. Force-restarting...");
-        childApp.kill("SIGKILL");
-      }
-      onExit();
-    }, restartTimeout);
-  } else {
-    // It was dead, so just call back.
-    onExit();
+  if (!mainModule && !entries) {
+    logError(
+      "Main script not specified. If you are using `--inspect` or similar options, please add a `--` like so:"
+    );
+    logError("> babel-watch --inspect -- app.js");
+    process.exit(1);
   }
-}
 
-function restartApp() {
-  if (!watcherInitialized) return;
-  if (childApp) {
-    if (program.clearConsole) console.clear();
-    else if (program.message) {
-      let message = program.message;
-      // Include changed files when possible.
-      if (message.includes("%s"))
-        message = util.format(message, changedFiles.join(","));
-      log(message);
-    }
-  }
-  // kill app early as `compile` may take a while
-  // If this is the first run, it will bail out and call back
-  killApp(() => {
-    restartAppInternal();
-  });
-}
-
-function log(...msg) {
-  const preamble = program.colors
-    ? chalk.blue.bold.underline("babel-watch:")
-    : ">>> babel-watch:";
-  console.log(preamble, ...msg);
-}
-
-function logError(...msg) {
-  const preamble = program.colors
-    ? chalk.red.bold.underline("babel-watch:")
-    : ">>> babel-watch:";
-  console.error(preamble, ...msg);
-}
-
-function restartAppInternal() {
-  if (Object.keys(errors).length != 0) {
-    // There were some transpilation errors, don't start unless solved or invalid file is removed
-    return;
+  let babelWatch;
+  try {
+    babelWatch = createBabelWatch({
+      ...options,
+      script: mainModule,
+      args: program.args.length ? program.args.slice(1) : options.args || [],
+      entries,
+      rules
+    });
+  } catch (e) {
+    // Invalid options
+    logError(e.message);
+    process.exit(1);
+    throw e; // not reached, flow doesn't know process.exit() doesn't return
   }
 
-  changedFiles = []; // reset state
-  pipeFilename = generateTempFilename();
-
-  if (os.platform() === "win32") {
+  if (options.events != null) {
     try {
-      execSync(`echo. > ${pipeFilename}`);
-    } catch (e) {
-      logError(`Unable to create file ${pipeFilename}`);
-      process.exit(1);
-    }
-  } else {
-    try {
-      execSync(`mkfifo -m 0666 ${pipeFilename}`);
-    } catch (e) {
-      logError(
-        "Unable to create named pipe with mkfifo. Are you on linux/OSX?"
+      createEventStream(babelWatch, String(options.events), error =>
+        logError(`Unable to write events: ${error.message}`)
       );
+    } catch (e) {
+      logError(`Unable to open the event stream: ${e.message}`);
       process.exit(1);
     }
   }
 
-  // Support for --debug option
-  const runnerExecArgv = process.execArgv.slice();
-  if (program.debug) {
-    runnerExecArgv.push(
-      typeof program.debug === "boolean"
-        ? `--debug`
-        : `--debug=${program.debug}`
-    );
-  }
-  // Support for --debug-brk option
-  if (program.debugBrk) {
-    runnerExecArgv.push("--debug-brk");
-  }
-  // Support for --inspect option
-  if (program.inspect) {
-    // Somehow, the default port (2992) is being passed from the node command line. Wipe it out.
-    const inspectArg =
-      typeof program.inspect === "boolean"
-        ? `--inspect`
-        : `--inspect=${program.inspect}`;
-    runnerExecArgv.push(inspectArg);
-  }
-  // Support for --inspect-brk option
-  if (program.inspectBrk) {
-    const inspectBrkArg =
-      typeof program.inspectBrk === "boolean"
-        ? `--inspect-brk`
-        : `--inspect-brk=${program.inspectBrk}`;
-    runnerExecArgv.push(inspectBrkArg);
-  }
-
-  if (program.beforeRestart) {
-    log(`Running command "${program.beforeRestart}" before restart.`);
-    execSync(program.beforeRestart, { stdio: "inherit" }); // pass stdio to console
-  }
-
-  // Pass options into execargv for easy use of options like `--trace-exit`.
-  // You can use NODE_OPTIONS to pass the option to both the watcher and the child,
-  // or `BABEL_WATCH_NODE_OPTIONS` to only pass it to the child.
-  if (process.env.BABEL_WATCH_NODE_OPTIONS) {
-    runnerExecArgv.push(...stringArgv(process.env.BABEL_WATCH_NODE_OPTIONS));
-  }
-
-  const runnerPath = path.resolve(__dirname, "runner.js");
-  const app = fork(runnerPath, {
-    execArgv: runnerExecArgv
+  babelWatch.on("exit", ({ code }) => {
+    process.exit(code);
   });
 
-  app.on("message", async data => {
-    try {
-      if (!data || data.event !== "babel-watch-filename") return;
-      const filename = data.filename;
-      if (!program.disableAutowatch) {
-        // use relative path for watch.add as it would let chokidar reconsile exclude patterns
-        const relativeFilename = path.relative(cwd, filename);
-        watcher.add(relativeFilename);
-      }
-      const [source, sourceMap] = await handleFileLoad(filename);
-
-      const sourceBuf = Buffer.from(source || "");
-      const mapBuf = Buffer.from(sourceMap ? JSON.stringify(sourceMap) : []);
-      const lenBuf = Buffer.alloc(4);
-      if (pipeFd) {
-        try {
-          lenBuf.writeUInt32BE(sourceBuf.length, 0);
-          fs.writeSync(pipeFd, lenBuf, 0, 4);
-          sourceBuf.length &&
-            fs.writeSync(pipeFd, sourceBuf, 0, sourceBuf.length);
-
-          lenBuf.writeUInt32BE(mapBuf.length, 0);
-          fs.writeSync(pipeFd, lenBuf, 0, 4);
-          mapBuf.length && fs.writeSync(pipeFd, mapBuf, 0, mapBuf.length);
-        } catch (error) {
-          // EPIPE means `pipeFd` has been closed. We can ignore this
-          if (error.code !== "EPIPE") {
-            throw error;
-          }
-        }
-      }
-    } catch (err) {
-      logError(err);
-      process.exit(1);
-    }
+  babelWatch.on("error", error => {
+    logError(error);
+    process.exit(1);
   });
 
-  app.on("exit", (code, signal) => {
-    log("Runner closed with", { code, signal });
+  // Shut the app down gracefully on Ctrl+C. babel-watch exits right away on
+  // the second one.
+  let shuttingDown = false;
+  ["SIGINT", "SIGTERM"].forEach(signal => {
+    // $FlowIgnore flow-bin we use doesn't know about os.constants
+    const exitCode = 128 + os.constants.signals[signal];
+    process.on(signal, () => {
+      if (shuttingDown) process.exit(exitCode);
+      shuttingDown = true;
+      debugInit(`${signal} received, shutting the app down.`);
+      babelWatch.close().then(() => process.exit(exitCode));
+    });
   });
 
-  app.send({
-    event: "babel-watch-start",
-    pipe: pipeFilename,
-    args: program.args,
-    debug,
-    handleUncaughtExceptions: !program.disableExHandler,
-    transpileExtensions
-  });
-  pipeFd = fs.openSync(pipeFilename, "w");
-  childApp = app;
-}
-
-// Only ignore based on extension for now, which we keep track of on our own for file watcher
-// purposes. `ignore` and `only` are passed to `babel.OptionManager` to let it make its own
-// determinations.
-function shouldIgnore(filename) {
-  if (!transpileExtensions.includes(path.extname(filename))) {
-    return true;
-  } else if (ignored[filename]) {
-    // ignore cache for extra speed
-    return true;
+  let controlServer = null;
+  if (options.control) {
+    createControlServer(babelWatch, controlAddress).then(
+      server => (controlServer = server),
+      e => {
+        logError(`Unable to start the control server: ${e.message}`);
+        process.exit(1);
+      }
+    );
   }
-  return false;
-}
 
-async function compile(filename) {
-  const opts = new babel.OptionManager().init({
-    filename,
-    ignore,
-    only,
-    configFile,
-    rootMode
+  onExit(function (code, signal) {
+    debugInit(`${signal || `exitCode ${code}`} received, closing.`);
+    // removes the socket file
+    if (controlServer) controlServer.close();
+    babelWatch.close();
+    process.exit(code || 0);
   });
 
-  // If opts is not present, the file is ignored, either by explicit input into
-  // babel-watch or by `.babelignore`.
-  if (!opts) {
-    throw new IgnoredFileError();
+  // Restart the app when a sequence of keys has been pressed ('rs' by refault)
+  if (options.restartCommand) {
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", data => {
+      const command = String(data).trim();
+      if (command === options.restartCommand) {
+        babelWatch.restart();
+      } else if (command.startsWith(`${options.restartCommand} `)) {
+        // restart a single entry, e.g. "rs api"
+        babelWatch.restart(command.slice(options.restartCommand.length).trim());
+      } else if (command === GRAPH_COMMAND) {
+        babelWatch.dumpGraph();
+      } else if (command === USAGE_COMMAND) {
+        babelWatch.dumpUsage();
+      }
+    });
   }
-  // Do not process config files since has already been done with the OptionManager
-  // calls above and would introduce duplicates.
-  opts.babelrc = false;
-  opts.sourceMaps = debug && program.debugSourceMaps ? "inline" : true;
-  opts.ast = false;
 
-  return babel.transformFileAsync(filename, opts);
+  process.on("unhandledException", e => {
+    log("Unhandled exception:", e);
+  });
 }
 
-restartApp();
-
-process.on("unhandledException", e => {
-  log("Unhandled exception:", e);
-});
+if (program.args[0] === CONTROL_COMMAND) {
+  // `babel-watch ctl <command>` talks to a running babel-watch instead of
+  // starting one
+  runControlCommand(controlAddress, program.args.slice(1), logError).then(
+    code => process.exit(code)
+  );
+} else {
+  start();
+}
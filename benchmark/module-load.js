@@ -0,0 +1,104 @@
+// @flow
+
+"use strict";
+
+// Measures how long the app takes to load a project made of many modules once
+// babel-watch compiled them, which is dominated by the cost of sending every
+// module from babel-watch to the app.
+//
+//   node benchmark/module-load.js [modules] [runs]
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBabelWatch } = require("..");
+
+const MODULES = Number(process.argv[2]) || 3000;
+const RUNS = Number(process.argv[3]) || 5;
+
+function createProject(dir) {
+  fs.mkdirSync(path.join(dir, "modules"));
+  for (let i = 0; i < MODULES; i++) {
+    fs.writeFileSync(
+      path.join(dir, "modules", `m${i}.js`),
+      `const { format } = require("util");
+
+const id = ${i};
+
+class Module${i} {
+  constructor(options = {}) {
+    this.name = options.name ?? "module-${i}";
+    this.values = [...(options.values || []), id];
+  }
+
+  describe() {
+    return format("%s: %j", this.name, this.values.map(value => value * 2));
+  }
+}
+
+module.exports = { id, Module${i} };
+`
+    );
+  }
+  fs.writeFileSync(
+    path.join(dir, "main.js"),
+    `const start = process.hrtime.bigint();
+for (let i = 0; i < ${MODULES}; i++) require("./modules/m" + i);
+const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+require("fs").writeFileSync(process.env.BENCHMARK_RESULT, String(elapsed));
+process.exit(0);
+`
+  );
+  // Keeps babel from picking up config files outside of the project
+  fs.writeFileSync(path.join(dir, "babel.config.js"), "module.exports = {};");
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "babel-watch-benchmark-"));
+const resultFile = path.join(dir, "result");
+process.env.BENCHMARK_RESULT = resultFile;
+createProject(dir);
+
+const timings = [];
+const babelWatch = createBabelWatch({
+  script: "main.js",
+  cwd: dir,
+  disableAutowatch: true,
+  message: ""
+});
+
+babelWatch.on("error", error => {
+  console.error(error);
+  process.exit(1);
+});
+
+babelWatch.on("child-exit", ({ code }) => {
+  if (code !== 0) {
+    console.error(`The app exited with code ${code}`);
+    process.exit(1);
+  }
+  timings.push(Number(fs.readFileSync(resultFile, "utf8")));
+  if (timings.length <= RUNS) {
+    babelWatch.restart();
+    return;
+  }
+  babelWatch.close().then(() => {
+    // $FlowIgnore flow-bin we use doesn't know about fs.rmSync
+    fs.rmSync(dir, { recursive: true, force: true });
+    // The first run compiles every module, the next ones get them from the
+    // in-memory cache
+    const [cold, ...warm] = timings;
+    const warmMedian = median(warm);
+    console.log(`modules:              ${MODULES}`);
+    console.log(`first run (compile):  ${cold.toFixed(0)} ms`);
+    console.log(`next runs (median):   ${warmMedian.toFixed(0)} ms`);
+    console.log(
+      `per module (median):  ${((warmMedian / MODULES) * 1000).toFixed(0)} µs`
+    );
+    console.log(`next runs (fastest):  ${Math.min(...warm).toFixed(0)} ms`);
+  });
+});
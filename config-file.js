@@ -0,0 +1,78 @@
+// @flow
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// Looked up in this order in every directory from cwd upwards, the first one
+// found wins. package.json is only used when it has a "babel-watch" key.
+const CONFIG_FILENAMES = [
+  "babel-watch.config.js",
+  "babel-watch.config.cjs",
+  ".babelwatchrc.json",
+  "package.json"
+];
+const PACKAGE_JSON_KEY = "babel-watch";
+
+function readJSON(filepath) {
+  return JSON.parse(fs.readFileSync(filepath, "utf8"));
+}
+
+// babel-watch.config.js is an ES module in packages with "type": "module",
+// which only node versions supporting `require` of ES modules can load
+function requireConfig(filepath) {
+  let config;
+  try {
+    // $FlowIgnore dynamic require is what we want here
+    config = require(filepath);
+  } catch (e) {
+    if (e.code !== "ERR_REQUIRE_ESM") throw e;
+    throw new Error(
+      "it is an ES module, which this node version can't require. Rename it to babel-watch.config.cjs and use module.exports"
+    );
+  }
+  return Object.prototype.toString.call(config) === "[object Module]"
+    ? config.default
+    : config;
+}
+
+function loadConfigFile(filepath) {
+  try {
+    if ([".js", ".cjs"].includes(path.extname(filepath))) {
+      return requireConfig(filepath);
+    }
+    const config = readJSON(filepath);
+    return path.basename(filepath) === "package.json"
+      ? config[PACKAGE_JSON_KEY]
+      : config;
+  } catch (e) {
+    throw new Error(`Unable to load config file ${filepath}: ${e.message}`);
+  }
+}
+
+// Returns the config found upward from `dir` as `{ filepath, config }`, or
+// null when there is none
+function findConfig(
+  dir /*: string */
+) /*: ?{ filepath: string, config: Object } */ {
+  let current;
+  let parent = path.resolve(dir);
+  do {
+    current = parent;
+    for (const filename of CONFIG_FILENAMES) {
+      const filepath = path.join(current, filename);
+      if (!fs.existsSync(filepath)) continue;
+      const config = loadConfigFile(filepath);
+      if (config == null) continue; // package.json without "babel-watch" key
+      if (typeof config !== "object" || Array.isArray(config)) {
+        throw new Error(`Config file ${filepath} should export an object`);
+      }
+      return { filepath, config };
+    }
+    parent = path.dirname(current);
+  } while (parent !== current);
+  return null;
+}
+
+module.exports = { findConfig };
@@ -0,0 +1,211 @@
+// @flow
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { isAllowedHost } = require("./inspector-proxy");
+
+// Commands are HTTP requests to `/<command>`, `status` is a GET and the other
+// ones are POSTs. Responses are JSON.
+const COMMANDS = ["status", "restart", "pause", "resume", "clear-cache"];
+
+// A Unix socket (a named pipe on Windows) derived from `dir`, so that
+// `babel-watch ctl` run from the same directory finds the babel-watch
+// started there
+function defaultControlAddress(dir /*: string */) /*: string */ {
+  const id = crypto.createHash("sha1").update(dir).digest("hex").slice(0, 12);
+  return process.platform === "win32"
+    ? `\\\\.\\pipe\\babel-watch-${id}`
+    : path.join(os.tmpdir(), `babel-watch-${id}.sock`);
+}
+
+const LOCALHOST = "127.0.0.1";
+
+// A number is a port on localhost, anything else is a socket path
+function isPort(address) {
+  return /^\d+$/.test(address);
+}
+
+function handleCommand(babelWatch, command, entry) {
+  switch (command) {
+    case "status":
+      return babelWatch.status();
+    case "restart":
+      if (
+        entry &&
+        !babelWatch.status().entries.some(app => app.name === entry)
+      ) {
+        return { error: `Unknown entry "${entry}"` };
+      }
+      babelWatch.restart(entry);
+      return { ok: true };
+    case "pause":
+      babelWatch.pause();
+      return { ok: true };
+    case "resume":
+      babelWatch.resume();
+      return { ok: true };
+    case "clear-cache":
+      babelWatch.clearCache();
+      return { ok: true };
+    default:
+      return { error: `Unknown command "${command}"` };
+  }
+}
+
+function listen(server, address) {
+  return new Promise((resolve, reject) => {
+    function onError(error) {
+      server.removeListener("listening", onListening);
+      reject(error);
+    }
+    function onListening() {
+      server.removeListener("error", onError);
+      resolve();
+    }
+    server.once("error", onError);
+    server.once("listening", onListening);
+    server.listen(
+      isPort(address)
+        ? { host: LOCALHOST, port: Number(address) }
+        : { path: address }
+    );
+  });
+}
+
+// Resolves to true when nobody answers on the socket, e.g. when it was left
+// behind by a babel-watch that didn't exit cleanly
+function isStale(address) {
+  return new Promise(resolve => {
+    const socket = net.connect(address);
+    socket.on("connect", () => {
+      socket.destroy();
+      resolve(false);
+    });
+    socket.on("error", error => resolve(error.code === "ECONNREFUSED"));
+  });
+}
+
+// Listens for commands sent by `babel-watch ctl` to `address`. Resolves to
+// the server once it's listening.
+async function createControlServer(
+  babelWatch /*: Object */,
+  address /*: string */
+) /*: Promise<Object> */ {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const command = url.pathname.slice(1);
+    let result;
+    // Browsers send an Origin, `babel-watch ctl` doesn't. Without this check
+    // any web page could POST commands to a control server on a port. Pages
+    // of other hosts resolving to 127.0.0.1 (DNS rebinding) don't send one
+    // for GET requests, but they don't send an IP or localhost as Host.
+    if (req.headers.origin != null || !isAllowedHost(req.headers.host)) {
+      result = { error: "Requests from browsers are not accepted" };
+    } else if (req.method !== (command === "status" ? "GET" : "POST")) {
+      result = { error: `Unexpected method ${req.method} for "${command}"` };
+    } else {
+      result = handleCommand(
+        babelWatch,
+        command,
+        url.searchParams.get("entry")
+      );
+    }
+    res.writeHead(result.error ? 400 : 200, {
+      "Content-Type": "application/json"
+    });
+    res.end(JSON.stringify(result));
+    req.resume();
+  });
+  // Keeps babel-watch from waiting for the control server to exit
+  server.unref();
+  try {
+    await listen(server, address);
+  } catch (error) {
+    if (error.code !== "EADDRINUSE" || isPort(address)) throw error;
+    if (!(await isStale(address))) {
+      throw new Error(`Another babel-watch is listening on ${address}`);
+    }
+    fs.unlinkSync(address);
+    await listen(server, address);
+  }
+  return server;
+}
+
+function sendCommand(address, command, entry) {
+  return new Promise((resolve, reject) => {
+    const query = entry ? `?entry=${encodeURIComponent(entry)}` : "";
+    const req = http.request(
+      {
+        ...(isPort(address)
+          ? { host: LOCALHOST, port: Number(address) }
+          : { socketPath: address }),
+        method: command === "status" ? "GET" : "POST",
+        path: `/${command}${query}`
+      },
+      res => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", chunk => (body += chunk));
+        res.on("end", () => {
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+// Runs `babel-watch ctl <command> [entry]`, resolves to the exit code
+async function runControlCommand(
+  address /*: string */,
+  args /*: Array<string> */,
+  logError /*: (...args: Array<any>) => void */
+) /*: Promise<number> */ {
+  const [command, entry] = args;
+  if (!COMMANDS.includes(command)) {
+    logError(
+      `Usage: babel-watch ctl <command> [entry], command being one of ${COMMANDS.join(
+        ", "
+      )}`
+    );
+    return 1;
+  }
+  let result;
+  try {
+    result = await sendCommand(address, command, entry);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ECONNREFUSED") {
+      logError(
+        `No babel-watch is listening on ${address}, start it with --control`
+      );
+    } else {
+      logError(error.message);
+    }
+    return 1;
+  }
+  if (result.error) {
+    logError(result.error);
+    return 1;
+  }
+  if (command === "status") {
+    console.log(JSON.stringify(result, null, 2));
+  }
+  return 0;
+}
+
+module.exports = {
+  defaultControlAddress,
+  createControlServer,
+  runControlCommand
+};
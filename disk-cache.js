@@ -0,0 +1,144 @@
+// @flow
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { packageName } = require("./package-matcher");
+
+// Entries that weren't used for that long are removed on startup
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000; // milliseconds
+
+function hash(value) {
+  return crypto.createHash("sha1").update(value).digest("hex");
+}
+
+// Versions of the packages presets and plugins come from, by package.json
+const packageVersions = new Map();
+
+function packageVersion(manifest) {
+  if (!packageVersions.has(manifest)) {
+    let version = null;
+    try {
+      version = JSON.parse(fs.readFileSync(manifest, "utf8")).version;
+    } catch (e) {
+      // not a package after all
+    }
+    packageVersions.set(manifest, version);
+  }
+  return String(packageVersions.get(manifest));
+}
+
+// Files in node_modules also get the version of their package, npm installs
+// every file with the same modification time
+function fileFingerprint(filename) {
+  let mtime;
+  try {
+    mtime = fs.statSync(filename).mtimeMs;
+  } catch (e) {
+    mtime = 0;
+  }
+  const name = packageName(filename);
+  if (!name) return `${filename}:${mtime}`;
+  const parts = filename.split(path.sep);
+  const modulesDir = parts
+    .slice(0, parts.lastIndexOf("node_modules") + 1)
+    .join(path.sep);
+  const manifest = path.join(modulesDir, name, "package.json");
+  return `${filename}:${mtime}:${packageVersion(manifest)}`;
+}
+
+// Builds the key compiled output is stored under. Any change in the source,
+// in the options resolved by babel, in the babel version itself or in one of
+// the `dependencies` makes the stored output stale. The options don't tell
+// what the functions of plugins do, `dependencies` are the files they come
+// from: config files, presets and plugins.
+function cacheKey(
+  source /*: string */,
+  opts /*: Object */,
+  version /*: string */,
+  dependencies /*: Array<string> */
+) /*: string */ {
+  return hash(
+    [source, JSON.stringify(opts), version]
+      .concat(dependencies.map(fileFingerprint))
+      .join("\0")
+  );
+}
+
+// There's a single entry per source file, so recompiling a file replaces
+// the previous entry instead of piling new ones up.
+function createDiskCache(dir /*: string */) /*: Object */ {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const stats = { hits: 0, misses: 0 };
+
+  function entryPath(filename) {
+    return path.join(dir, hash(filename) + ".json");
+  }
+
+  function get(filename /*: string */, key /*: string */) {
+    const file = entryPath(filename);
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      // missing or corrupted entry
+      entry = null;
+    }
+    if (!entry || entry.key !== key || entry.filename !== filename) {
+      stats.misses++;
+      return null;
+    }
+    stats.hits++;
+    // keep entries in use away from pruning
+    const now = Date.now() / 1000;
+    fs.utimes(file, now, now, () => {});
+    return entry;
+  }
+
+  function set(
+    filename /*: string */,
+    key /*: string */,
+    result /*: Object */
+  ) {
+    const file = entryPath(filename);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(
+        tmpFile,
+        JSON.stringify({ filename, key, code: result.code, map: result.map })
+      );
+      // rename is atomic, other sessions never read a partial entry
+      fs.renameSync(tmpFile, file);
+    } catch (e) {
+      // the cache is only an optimization, failing to write it is not fatal
+    }
+  }
+
+  function prune() {
+    const expired = Date.now() - MAX_AGE;
+    fs.readdir(dir, (err, files) => {
+      if (err) return;
+      files.forEach(name => {
+        const file = path.join(dir, name);
+        fs.stat(file, (err, fileStats) => {
+          if (!err && fileStats.mtime.getTime() < expired) {
+            fs.unlink(file, () => {});
+          }
+        });
+      });
+    });
+  }
+
+  function clear() {
+    fs.readdirSync(dir).forEach(name => {
+      if (name.endsWith(".json")) fs.unlinkSync(path.join(dir, name));
+    });
+  }
+
+  return { get, set, prune, clear, stats };
+}
+
+module.exports = { createDiskCache, cacheKey };
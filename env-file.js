@@ -0,0 +1,112 @@
+// @flow
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// `KEY=value` lines, optionally starting with `export`. Values may be quoted,
+// quoted values may span several lines and double-quoted ones understand \n,
+// \r, \t, \" and \\. Lines starting with # and anything after a # preceded by
+// a space in unquoted values are comments.
+const LINE = /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/;
+const QUOTES = ["'", '"', "`"];
+const ESCAPES = { n: "\n", r: "\r", t: "\t" };
+
+function unescape(value) {
+  return value.replace(/\\(.)/g, (match, char) => ESCAPES[char] || char);
+}
+
+// Index of the quote closing a value starting with `quote`, -1 if none
+function closingQuote(value, quote) {
+  for (let i = 1; i < value.length; i++) {
+    if (value[i] === "\\" && quote === '"') i++;
+    else if (value[i] === quote) return i;
+  }
+  return -1;
+}
+
+// Returns the variables set in `content` as `values`, and the lines that
+// couldn't be parsed as `errors`, each being `{ line, message }` with `line`
+// 1-based. Malformed lines are skipped.
+function parseEnvFile(
+  content /*: string */
+) /*: { values: { [string]: string }, errors: Array<{ line: number, message: string }> } */ {
+  const values = {};
+  const errors = [];
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  for (let index = 0; index < lines.length; index++) {
+    const line = index + 1;
+    const text = lines[index];
+    if (!text.trim() || text.trim().startsWith("#")) continue;
+    const match = LINE.exec(text);
+    if (!match) {
+      errors.push({
+        line,
+        message: `expected KEY=value, got ${JSON.stringify(text.trim())}`
+      });
+      continue;
+    }
+    const [, key] = match;
+    let value = match[2];
+    const quote = value[0];
+    if (!QUOTES.includes(quote)) {
+      values[key] = value.replace(/(^|\s)#.*$/, "").trim();
+      continue;
+    }
+    // the value goes on until its closing quote, on this line or a later one
+    const start = index;
+    let end = closingQuote(value, quote);
+    while (end < 0 && index + 1 < lines.length) {
+      value += "\n" + lines[++index];
+      end = closingQuote(value, quote);
+    }
+    if (end < 0) {
+      errors.push({ line, message: `missing closing ${quote} for ${key}` });
+      index = start;
+      continue;
+    }
+    const rest = value.slice(end + 1).trim();
+    if (rest && !rest.startsWith("#")) {
+      errors.push({
+        line,
+        message: `unexpected ${JSON.stringify(rest)} after the value of ${key}`
+      });
+      continue;
+    }
+    const quoted = value.slice(1, end);
+    values[key] = quote === '"' ? unescape(quoted) : quoted;
+  }
+  return { values, errors };
+}
+
+// Reads `files` in order, the variables of a file overriding the ones of the
+// files before it. Returns the variables as `values` and what went wrong
+// reading and parsing the files as `errors`, paths being relative to `cwd`.
+function loadEnvFiles(
+  files /*: Array<string> */,
+  cwd /*: string */
+) /*: { values: Object, errors: Array<string> } */ {
+  const values = {};
+  const errors = [];
+  files.forEach(file => {
+    const relativeFile = path.relative(cwd, file);
+    let content;
+    try {
+      content = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      errors.push(`Unable to read env file ${relativeFile}: ${e.message}`);
+      return;
+    }
+    const parsed = parseEnvFile(content);
+    parsed.errors.forEach(({ line, message }) =>
+      errors.push(
+        `Malformed line in env file ${relativeFile}:${line}, ${message}. The line is ignored.`
+      )
+    );
+    Object.assign(values, parsed.values);
+  });
+  return { values, errors };
+}
+
+module.exports = { loadEnvFiles };
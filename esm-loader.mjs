@@ -0,0 +1,197 @@
+// @flow
+
+// Module customization hooks registered by runner.js with `module.register`.
+// They run on a separate loader thread which asks babel-watch for the
+// transpiled code through the same channel the `require.extensions` hooks
+// use, see source-channel.js. The thread that registered them may be blocked
+// until a module is loaded, only dependencies and source maps are posted to
+// it.
+
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import { fileURLToPath } from "url";
+import packageMatcher from "./package-matcher.js";
+import sourceChannel from "./source-channel.js";
+
+let port;
+let channel;
+let transpileExtensions = [];
+let isTranspiledModule /*: (filename: string) => boolean */ = () => false;
+const packageTypes = new Map();
+// Extensions which are always ES modules, or CommonJS
+const EXTENSION_FORMATS = {
+  ".mjs": "module",
+  ".mts": "module",
+  ".cjs": "commonjs",
+  ".cts": "commonjs"
+};
+// Formats of node's own TypeScript support, e.g. "module-typescript", which
+// strips types without transpiling
+const TYPESCRIPT_FORMAT = /-typescript$/;
+// Errors compiling ES module syntax as CommonJS, node tells the format of
+// files in packages without a "type" by them as well
+const MODULE_SYNTAX_ERRORS = [
+  "Cannot use import statement outside a module",
+  "Unexpected token 'export'",
+  "Cannot use 'import.meta' outside a module",
+  "await is only valid in async functions and the top level bodies of modules"
+];
+
+export async function initialize(data /*: any */) {
+  port = data.port;
+  channel = sourceChannel.createSourceChannel(
+    data.channel.fd,
+    data.channel.lock
+  );
+  transpileExtensions = data.transpileExtensions;
+  isTranspiledModule = packageMatcher.createPackageMatcher(
+    data.transpileModules
+  );
+  // the loader thread lives as long as the app anyway
+  port.unref();
+}
+
+function shouldTranspile(url) {
+  if (!url.startsWith("file:")) return false;
+  const filename = fileURLToPath(url);
+  // ignore node_modules by default, the same way runner.js does for `require`
+  if (
+    filename.split(path.sep).indexOf("node_modules") >= 0 &&
+    !isTranspiledModule(filename)
+  ) {
+    return false;
+  }
+  return transpileExtensions.includes(path.extname(filename));
+}
+
+// Mirrors what node does for `.js` files: the nearest package.json decides
+// whether the file is an ES module or CommonJS, null when it has no "type"
+function packageType(dirname) {
+  if (packageTypes.has(dirname)) return packageTypes.get(dirname);
+  let type;
+  try {
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(dirname, "package.json"), "utf8")
+    );
+    type = pkg.type === "module" || pkg.type === "commonjs" ? pkg.type : null;
+  } catch (e) {
+    const parent = path.dirname(dirname);
+    type = parent === dirname ? null : packageType(parent);
+  }
+  packageTypes.set(dirname, type);
+  return type;
+}
+
+function hasModuleSyntax(source, filename) {
+  try {
+    vm.compileFunction(
+      source,
+      ["exports", "require", "module", "__filename", "__dirname"],
+      { filename }
+    );
+    return false;
+  } catch (error) {
+    return MODULE_SYNTAX_ERRORS.some(message =>
+      error.message.includes(message)
+    );
+  }
+}
+
+// Unlike `require`, node only resolves ES modules imported with their
+// extension. Transpiled files can be imported without it, e.g. "./foo" for
+// foo.ts.
+async function resolveWithoutExtension(specifier, context, nextResolve, error) {
+  if (
+    error.code !== "ERR_MODULE_NOT_FOUND" ||
+    !/^(\.|\/|file:)/.test(specifier)
+  ) {
+    throw error;
+  }
+  for (const ext of transpileExtensions) {
+    try {
+      return await nextResolve(specifier + ext, context);
+    } catch (e) {
+      // try the next extension
+    }
+  }
+  throw error;
+}
+
+export async function resolve(
+  specifier /*: string */,
+  context /*: any */,
+  nextResolve /*: Function */
+) /*: Promise<any> */ {
+  let result;
+  try {
+    result = await nextResolve(specifier, context);
+  } catch (error) {
+    result = await resolveWithoutExtension(
+      specifier,
+      context,
+      nextResolve,
+      error
+    );
+  }
+  if (
+    context.parentURL &&
+    context.parentURL.startsWith("file:") &&
+    result.url.startsWith("file:")
+  ) {
+    port.postMessage({
+      event: "dependency",
+      parent: fileURLToPath(context.parentURL),
+      child: fileURLToPath(result.url)
+    });
+  }
+  if (
+    (!result.format || TYPESCRIPT_FORMAT.test(result.format)) &&
+    shouldTranspile(result.url)
+  ) {
+    // Node doesn't know how to load extensions like `.jsx`, or only strips
+    // the types of `.ts` files, pick the format the same way it would for `.js`
+    const filename = fileURLToPath(result.url);
+    const format = result.format
+      ? result.format.replace(TYPESCRIPT_FORMAT, "")
+      : EXTENSION_FORMATS[path.extname(filename)] ||
+        packageType(path.dirname(filename));
+    // without a "type" the format depends on the syntax, see `load`
+    return format ? { ...result, format } : result;
+  }
+  return result;
+}
+
+export async function load(
+  url /*: string */,
+  context /*: any */,
+  nextLoad /*: Function */
+) /*: Promise<any> */ {
+  // CommonJS files are left to node, they end up in the `require.extensions`
+  // hooks installed by runner.js
+  const format = context.format
+    ? context.format.replace(TYPESCRIPT_FORMAT, "")
+    : context.format;
+  if ((format && format !== "module") || !shouldTranspile(url)) {
+    return nextLoad(url, context);
+  }
+  const filename = fileURLToPath(url);
+  const { code: source, map } = channel.request(filename);
+  if (map) port.postMessage({ event: "map", filename, map });
+  // null when the file failed to compile
+  if (source == null) {
+    const error = new Error(
+      `${filename} failed to compile, see the error reported by babel-watch`
+    );
+    error.stack = `Error: ${error.message}`;
+    throw error;
+  }
+  if (!source) {
+    return nextLoad(url, context);
+  }
+  // In packages without a "type", files with ES module syntax are ES modules
+  if (!format && !hasModuleSyntax(source, filename)) {
+    return nextLoad(url, { ...context, format: "commonjs" });
+  }
+  return { format: "module", source, shortCircuit: true };
+}
@@ -0,0 +1,83 @@
+// @flow
+
+"use strict";
+
+const fs = require("fs");
+
+// Each line written is a JSON object with the name of the `event`, the `time`
+// it happened at (milliseconds since epoch) and the fields of the event, see
+// "Event stream" in the README. Tools rely on them, so fields may be added but
+// existing ones must not change.
+
+// Compile errors thrown by the Babel parser tell where the syntax error is
+function compileErrorFields(
+  filename /*: string */,
+  error /*: Object */
+) /*: Object */ {
+  const [message] = String(error.message).split("\n");
+  const loc = error.loc;
+  return {
+    file: filename,
+    message: message.startsWith(`${filename}: `)
+      ? message.slice(filename.length + 2)
+      : message,
+    line: loc ? loc.line : null,
+    // Babel columns are 0-based
+    column: loc ? loc.column + 1 : null
+  };
+}
+
+// Writes the events of `babelWatch` as newline-delimited JSON to `target`, a
+// file path or the number of an open file descriptor. Throws when it can't be
+// opened, write errors are passed to `onError` and stop the stream.
+function createEventStream(
+  babelWatch /*: Object */,
+  target /*: string */,
+  onError /*: (error: Error) => void */
+) {
+  const fd = /^\d+$/.test(target) ? Number(target) : fs.openSync(target, "w");
+  // fails early for file descriptors that aren't open
+  fs.fstatSync(fd);
+  let failed = false;
+
+  function write(event, fields) {
+    if (failed) return;
+    try {
+      fs.writeSync(
+        fd,
+        JSON.stringify({ event, time: Date.now(), ...fields }) + "\n"
+      );
+    } catch (error) {
+      failed = true;
+      onError(error);
+    }
+  }
+
+  babelWatch.on("watcher-ready", () => write("watcher-ready", {}));
+  babelWatch.on("file-change", ({ file }) => write("file-change", { file }));
+  babelWatch.on("compile-start", ({ filename }) =>
+    write("compile-start", { file: filename })
+  );
+  babelWatch.on("compile-error", ({ filename, error }) =>
+    write("compile-error", compileErrorFields(filename, error))
+  );
+  babelWatch.on("restart", ({ entry, files, reason }) =>
+    write("restart", { entry, files, reason })
+  );
+  babelWatch.on("spawn", ({ entry, pid }) => write("spawn", { entry, pid }));
+  babelWatch.on("start", ({ entry, pid }) => write("start", { entry, pid }));
+  babelWatch.on("blocked", ({ entry, files }) =>
+    write("blocked", { entry, files })
+  );
+  babelWatch.on("child-exit", ({ entry, pid, code, signal }) =>
+    write("child-exit", { entry, pid, code, signal })
+  );
+  babelWatch.on("hook-error", ({ hook, entry, code }) =>
+    write("hook-error", { hook, entry, code })
+  );
+  babelWatch.on("resource-limit", ({ entry, pid, resource, reason, action }) =>
+    write("resource-limit", { entry, pid, resource, reason, action })
+  );
+}
+
+module.exports = { createEventStream, compileErrorFields };
@@ -0,0 +1,51 @@
+// @flow
+
+"use strict";
+
+const childProcess = require("child_process");
+const path = require("path");
+
+// Commands run by babel-watch, for lifecycle hooks and change rules, get the
+// fields of a payload in environment variables named after them, e.g.
+// BABEL_WATCH_CHANGED_FILES for `changedFiles`, lists being separated with
+// `path.delimiter`. They also get the payload as JSON on stdin.
+function envName(field) {
+  return `BABEL_WATCH_${field.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`;
+}
+
+function payloadEnv(payload) {
+  const env = {};
+  Object.keys(payload).forEach(field => {
+    const value = payload[field];
+    if (value == null) return;
+    env[envName(field)] = Array.isArray(value)
+      ? value.join(path.delimiter)
+      : String(value);
+  });
+  return env;
+}
+
+// Runs `command` in a shell. `exited` resolves to its exit code, or null when
+// it couldn't be started or was killed by a signal.
+function runCommand(
+  command /*: string */,
+  cwd /*: string */,
+  payload /*: Object */
+) /*: { child: child_process$ChildProcess, exited: Promise<?number> } */ {
+  const child = childProcess.spawn(command, {
+    cwd,
+    shell: true,
+    stdio: ["pipe", "inherit", "inherit"],
+    env: { ...process.env, ...payloadEnv(payload) }
+  });
+  const exited = new Promise(resolve => {
+    child.on("error", () => resolve(null));
+    child.on("exit", code => resolve(code));
+  });
+  // commands don't have to read the payload
+  child.stdin.on("error", () => {});
+  child.stdin.end(JSON.stringify(payload) + "\n");
+  return { child, exited };
+}
+
+module.exports = { runCommand };
@@ -0,0 +1,1856 @@
+// @flow
+
+"use strict";
+
+const anymatch = require("anymatch");
+const chokidar = require("chokidar");
+const chalk = require("chalk");
+const path = require("path");
+let babel = require("@babel/core");
+const fs = require("fs");
+const os = require("os");
+const fork = require("child_process").fork;
+const net = require("net");
+const EventEmitter = require("events");
+const util = require("util");
+const debounce = require("lodash.debounce");
+const Debug = require("debug");
+const stringArgv = require("string-argv").parseArgsStringToArgv;
+const { createDiskCache, cacheKey } = require("./disk-cache");
+const { loadEnvFiles } = require("./env-file");
+const { compileErrorFields } = require("./event-stream");
+const { runCommand } = require("./hooks");
+const {
+  createInspectorProxy,
+  parseInspectAddress
+} = require("./inspector-proxy");
+const { createLogger, forEachLine, prefixLines } = require("./logger");
+const { createPackageMatcher, packageName } = require("./package-matcher");
+const { createRestartStats, formatStats, createStatsFile } = require("./stats");
+const { createWatchdog, formatMemory } = require("./watchdog");
+
+const debugInit = Debug("babel-watch:init");
+const debugCompile = Debug("babel-watch:compile");
+const debugWatcher = Debug("babel-watch:watcher");
+const debugGraph = Debug("babel-watch:graph");
+
+const DEBOUNCE_DURATION = 100; //milliseconds
+// An app that stays up for that long is not considered to be crash-looping
+const STABLE_UPTIME = 10000; //milliseconds
+const MAX_RECENT_EXITS = 10;
+const CRASH_POLICIES = ["wait", "restart", "exit"];
+// What happens when the app exceeds `maxMemory` or `maxCpu`, see watchdog.js
+const LIMIT_ACTIONS = ["warn", "restart"];
+// How often the app reports its memory and CPU usage
+const RESOURCE_SAMPLE_INTERVAL = 1000; //milliseconds
+const REASON_MESSAGE = ">>> Restarting due to %s";
+// Options with the commands of the lifecycle hooks, see `runHook`
+const HOOK_OPTIONS = {
+  "before-restart": "beforeRestart",
+  "after-start": "afterStart",
+  "on-crash": "onCrash",
+  "on-compile-error": "onCompileError"
+};
+// What may happen when files matching a rule change, see `normalizeRules`
+const CHANGE_ACTIONS = ["restart", "signal", "message", "command", "ignore"];
+const READY_PROBE_INTERVAL = 100; //milliseconds
+// Restart stats are reported once the app didn't load a module for that long
+const STATS_SETTLE_DURATION = 500; //milliseconds
+// How long a new app waits for the debuggers of the inspector proxy to attach
+const INSPECTOR_ATTACH_TIMEOUT = 2000; //milliseconds
+// Output of the inspector of the app, which is only reached through the proxy
+const INSPECTOR_OUTPUT =
+  /^(?:Debugger listening on (ws:\/\/\S+)|For help, see: https:\/\/nodejs\.org\/en\/docs\/inspector|Debugger attached\.|Debugger ending on |Waiting for the debugger to disconnect\.\.\.)/;
+// Extensions of the files transpiled by these presets and plugins, which node
+// can't load on its own
+const TYPESCRIPT_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts"];
+const PACKAGE_EXTENSIONS = {
+  "@babel/preset-typescript": TYPESCRIPT_EXTENSIONS,
+  "@babel/plugin-transform-typescript": TYPESCRIPT_EXTENSIONS
+};
+// Colors of the entry names prefixing the output of their app
+const ENTRY_COLORS = ["cyan", "magenta", "yellow", "green", "blue", "red"];
+
+// Defaults of the options accepted by `createBabelWatch`, they match the
+// defaults of the command line options.
+const DEFAULT_OPTIONS = {
+  script: undefined,
+  args: [],
+  entries: undefined,
+  cwd: undefined,
+  only: null,
+  ignore: ["node_modules"],
+  transpileModules: [],
+  extensions: [],
+  watch: [],
+  exclude: [],
+  rules: [],
+  envFile: [],
+  usePolling: false,
+  disableAutowatch: false,
+  disableExHandler: false,
+  message: ">>> Restarting due to change in file(s): %s",
+  configFile: undefined,
+  rootMode: undefined,
+  clearConsole: false,
+  beforeRestart: undefined,
+  afterStart: undefined,
+  onCrash: undefined,
+  onCompileError: undefined,
+  restartTimeout: 2000,
+  killSignal: "SIGHUP",
+  zeroDowntime: false,
+  readyPort: undefined,
+  readyTimeout: 10000,
+  colors: true,
+  cacheDir: undefined,
+  hot: false,
+  stats: false,
+  statsFile: undefined,
+  crashPolicy: "wait",
+  crashMaxRestarts: 5,
+  crashBackoff: 1000,
+  maxMemory: undefined,
+  maxCpu: undefined,
+  maxCpuDuration: 10000,
+  limitAction: "warn",
+  debug: undefined,
+  debugBrk: false,
+  inspect: undefined,
+  inspectBrk: undefined,
+  inspectProxy: false,
+  debugSourceMaps: true
+};
+
+// Transpiled files are sent to the app over an extra pipe, see `SOURCE_FD` in
+// runner.js. Each file is a single message: the byte lengths of the code and
+// of the source map as UInt32BE, followed by the code and the JSON source map.
+const SOURCE_HEADER_SIZE = 8;
+
+function encodeSource(code /*: ?string */, map /*: ?Object */) /*: Buffer */ {
+  const codeString = code || "";
+  const mapString = map ? JSON.stringify(map) : "";
+  const codeLength = Buffer.byteLength(codeString);
+  const mapLength = Buffer.byteLength(mapString);
+  const message = Buffer.allocUnsafe(
+    SOURCE_HEADER_SIZE + codeLength + mapLength
+  );
+  message.writeUInt32BE(codeLength, 0);
+  message.writeUInt32BE(mapLength, 4);
+  message.write(codeString, SOURCE_HEADER_SIZE);
+  message.write(mapString, SOURCE_HEADER_SIZE + codeLength);
+  return message;
+}
+
+// Sent for files the app loads on its own, untranspiled
+const EMPTY_SOURCE = encodeSource("", null);
+
+// Sent for files that failed to compile, a code length the app can't get
+// otherwise, see `COMPILE_FAILED` in source-channel.js
+const FAILED_SOURCE = Buffer.alloc(SOURCE_HEADER_SIZE);
+FAILED_SOURCE.writeUInt32BE(0xffffffff, 0);
+
+// `readyPort` is either a port number or "host:port"
+function parseReadyPort(value /*: mixed */) /*: ?Object */ {
+  if (!value) return null;
+  const address = String(value);
+  const separator = address.lastIndexOf(":");
+  const port = Number(address.slice(separator + 1));
+  if (!Number.isInteger(port)) {
+    throw new TypeError(`Invalid ready port "${address}"`);
+  }
+  return {
+    host: separator > 0 ? address.slice(0, separator) : "localhost",
+    port
+  };
+}
+
+// `entries` maps entry names to their script, or to `{ script, args,
+// readyPort }`. Without it, `script` and `args` make up the only entry.
+function normalizeEntries(options /*: Object */) /*: Array<Object> */ {
+  if (!options.entries) {
+    if (!options.script) {
+      throw new TypeError("Main script not specified");
+    }
+    return [
+      {
+        name: path.basename(options.script, path.extname(options.script)),
+        script: options.script,
+        args: options.args
+      }
+    ];
+  }
+  const names = Object.keys(options.entries);
+  if (!names.length) {
+    throw new TypeError("No entries specified");
+  }
+  return names.map(name => {
+    const value = options.entries[name];
+    const entry = typeof value === "string" ? { script: value } : value;
+    if (!entry || !entry.script) {
+      throw new TypeError(`Script of entry "${name}" not specified`);
+    }
+    return { args: [], ...entry, name };
+  });
+}
+
+// `rules` tell what happens when the files matching `files` (globs, regular
+// expressions or functions, like `exclude`) change, instead of restarting:
+//  - "restart" restarts the apps, after the rule's own `debounce` (ms)
+//  - "signal" sends `signal` to the apps
+//  - "message" sends `{ event, files }` to the apps over IPC
+//  - "command" runs `command` in a shell
+//  - "ignore" does nothing
+// The first rule matching a file applies.
+function normalizeRules(rules /*: Array<Object> */) /*: Array<Object> */ {
+  return rules.map(rule => {
+    if (!rule || rule.files == null) {
+      throw new TypeError("Files of a rule not specified");
+    }
+    if (!CHANGE_ACTIONS.includes(rule.action)) {
+      throw new TypeError(
+        `Unknown action "${
+          rule.action
+        }" in a rule, expected one of: ${CHANGE_ACTIONS.join(", ")}`
+      );
+    }
+    // $FlowIgnore flow-bin we use doesn't know about os.constants
+    if (rule.action === "signal" && !(rule.signal in os.constants.signals)) {
+      throw new TypeError(`Unknown signal "${rule.signal}" in a rule`);
+    }
+    if (rule.action === "command" && !rule.command) {
+      throw new TypeError("Command of a rule not specified");
+    }
+    return {
+      event: "babel-watch-change",
+      debounce: DEBOUNCE_DURATION,
+      ...rule
+    };
+  });
+}
+
+class IgnoredFileError extends Error {}
+
+// The source of a file couldn't be read, e.g. it was deleted
+class SourceReadError extends Error {}
+
+class BabelWatch extends EventEmitter {
+  /*::
+  restart: (entry?: string) => void;
+  close: () => Promise<void>;
+  dumpGraph: () => void;
+  dumpUsage: () => void;
+  pause: () => void;
+  resume: () => void;
+  clearCache: () => void;
+  status: () => Object;
+  */
+}
+
+// Starts watching and running `options.script`, or each script of
+// `options.entries`. Returns an EventEmitter that emits:
+//  - "watcher-ready" once the watcher is done scanning the `watch` paths
+//  - "spawn" ({ entry, pid }) when an app process has been spawned
+//  - "start" ({ entry, pid }) when the app process has been spawned, or when
+//    it took over from the previous app with `zeroDowntime`
+//  - "ready-error" ({ entry, pid, error }) when, with `zeroDowntime`, a new app
+//    failed to become ready and the previous app is kept running
+//  - "restart" ({ entry, files, reason }) before the app is restarted because
+//    of changes in `files`, or for `reason` when it exceeded a resource limit
+//  - "file-change" ({ file }) for each change detected by the watcher
+//  - "compile-start" ({ filename }) before a file is compiled
+//  - "compile-error" ({ filename, error }) when a file fails to compile
+//  - "blocked" ({ entry, files }) when the app can't start until compile
+//    errors in `files` are fixed, it starts on its own once they are
+//  - "child-exit" ({ entry, pid, code, signal }) when the app process exits
+//  - "stats" ({ entry, restartTime, ... }) with `stats` or `statsFile`, once
+//    the app is done loading modules after a restart, see stats.js
+//  - "exit" ({ code }) when an app exited and `crashPolicy` is "exit", or
+//    when the before-restart hook failed and no file is watched
+//  - "hook-error" ({ hook, entry, code }) when the command of a lifecycle hook
+//    failed, `entry` is undefined for "on-compile-error"
+//  - "resource-limit" ({ entry, pid, resource, reason, action }) when the app
+//    exceeded `maxMemory` ("memory") or `maxCpu` ("cpu")
+//  - "error" (error) on failures babel-watch can't recover from
+// `entry` is the name of the entry the app runs. The emitter also has
+// `restart([entry])` and `close()` methods, the latter returns a promise
+// resolved once the apps have been stopped. `pause()` and `resume()` hold
+// restarts back while files are being changed, `clearCache()` drops compiled
+// files and `status()` describes the apps, the watched files and the compile
+// errors.
+function createBabelWatch(userOptions /*: Object */) /*: BabelWatch */ {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+  const emitter = new BabelWatch();
+  const { log, logError } = createLogger(options.colors);
+
+  const cwd = options.cwd ? path.resolve(options.cwd) : process.cwd();
+
+  const only = options.only;
+  const ignore = options.ignore;
+  // Packages in node_modules transpiled despite `only` and `ignore`
+  const isTranspiledModule = createPackageMatcher(options.transpileModules);
+  const configFile = options.configFile
+    ? path.resolve(cwd, options.configFile)
+    : undefined;
+  const rootMode = options.rootMode;
+  const debug = Boolean(
+    options.debug ||
+      options.debugBrk ||
+      options.inspect ||
+      options.inspectBrk ||
+      options.inspectProxy
+  );
+  const restartTimeout = Number.isFinite(options.restartTimeout)
+    ? options.restartTimeout
+    : 2000;
+  const readyTimeout = Number.isFinite(options.readyTimeout)
+    ? options.readyTimeout
+    : 10000;
+  // $FlowIgnore flow-bin we use doesn't know about os.constants
+  if (!(options.killSignal in os.constants.signals)) {
+    throw new TypeError(`Unknown kill signal "${options.killSignal}"`);
+  }
+  if (!CRASH_POLICIES.includes(options.crashPolicy)) {
+    throw new TypeError(
+      `Unknown crash policy "${
+        options.crashPolicy
+      }", expected one of: ${CRASH_POLICIES.join(", ")}`
+    );
+  }
+
+  if (!LIMIT_ACTIONS.includes(options.limitAction)) {
+    throw new TypeError(
+      `Unknown limit action "${
+        options.limitAction
+      }", expected one of: ${LIMIT_ACTIONS.join(", ")}`
+    );
+  }
+  [
+    ["maxMemory", "memory limit"],
+    ["maxCpu", "CPU limit"]
+  ].forEach(([option, description]) => {
+    const value = options[option];
+    if (value != null && !(Number.isFinite(value) && value > 0)) {
+      throw new TypeError(
+        `Invalid ${description} "${value}", expected a positive number`
+      );
+    }
+  });
+  const maxCpuDuration = Number.isFinite(options.maxCpuDuration)
+    ? options.maxCpuDuration
+    : 10000;
+  const limits = {
+    maxMemory: options.maxMemory,
+    maxCpu: options.maxCpu,
+    maxCpuDuration,
+    // the event loop of an app paused by a debugger is blocked as well
+    blockedAfter: debug
+      ? null
+      : Math.max(maxCpuDuration, 3 * RESOURCE_SAMPLE_INTERVAL)
+  };
+
+  const entries = normalizeEntries(options);
+  // We always transpile the default babel extensions. The option adds more,
+  // and so do presets like @babel/preset-typescript in the babel config.
+  let transpileExtensions = loadTranspileExtensions();
+  const rules = normalizeRules(options.rules).map(createRule);
+  // Commands of hooks and rules which are still running
+  const runningCommands = new Set();
+  // The output of the apps is prefixed with their name when there are several
+  const prefixOutput = entries.length > 1;
+  let closed = false;
+  // File changes don't restart the apps while paused, they do once resumed
+  let paused = false;
+  const startedAt = Date.now();
+
+  const cache = {};
+  // Files being compiled mapped to the promise of their message, entries
+  // loading a file at the same time share its compilation
+  const compiling = {};
+  // Files that failed to compile mapped to `{ error, stale }`, `stale` is set
+  // once the file (or its babel config) changed and it's worth compiling again
+  const errors = {};
+  let ignored = {};
+  // Babel config files (babel.config.js, .babelrc, ...) mapped to the files compiled with them
+  const configDependents = {};
+
+  const statsFile = options.statsFile
+    ? createStatsFile(path.resolve(cwd, options.statsFile))
+    : null;
+  const collectStats = Boolean(options.stats || statsFile);
+
+  // Debuggers connect to the proxy, on the `inspect` address, instead of the
+  // inspector of the app which changes with each restart
+  const inspectorProxy = options.inspectProxy
+    ? createInspectorProxy(
+        parseInspectAddress(options.inspectBrk || options.inspect)
+      )
+    : null;
+
+  const diskCache = options.cacheDir
+    ? createDiskCache(path.resolve(cwd, options.cacheDir))
+    : null;
+  if (diskCache) diskCache.prune();
+
+  const watcher = chokidar.watch(options.watch, {
+    persistent: true,
+    ignored: options.exclude,
+    ignoreInitial: true,
+    usePolling: options.usePolling,
+    cwd
+  });
+  let watcherInitialized = options.watch.length === 0;
+  // Variables the apps get from the env files, the ones set in the
+  // environment of babel-watch take precedence
+  const envFiles = options.envFile.map(file => path.resolve(cwd, file));
+  let envFileValues = loadEnvFileValues();
+  envFiles.forEach(file => watcher.add(path.relative(cwd, file)));
+  debugInit("Initializing babel-watch with options: %j", options);
+
+  watcher.on("change", handleChange);
+  watcher.on("add", handleChange);
+  watcher.on("unlink", handleChange);
+
+  watcher.on("ready", () => {
+    if (!watcherInitialized) {
+      watcherInitialized = true;
+      emitter.emit("watcher-ready");
+      restart();
+    }
+  });
+
+  watcher.on("error", error => {
+    emitter.emit("error", error);
+  });
+
+  const apps = entries.map((entry, index) => createApp(entry, index));
+
+  if (inspectorProxy) {
+    inspectorProxy.listen().then(
+      address =>
+        log(
+          `Inspector proxy listening on ${address}, debuggers attached to it follow the app across restarts.`
+        ),
+      error =>
+        emitter.emit(
+          "error",
+          new Error(`Unable to start the inspector proxy: ${error.message}`)
+        )
+    );
+  }
+
+  function handleChange(file) {
+    const absoluteFile = path.isAbsolute(file) ? file : path.join(cwd, file);
+    emitter.emit("file-change", { file: absoluteFile });
+    if (configDependents[absoluteFile]) {
+      handleConfigChange(file, absoluteFile);
+      return;
+    }
+    if (envFiles.includes(absoluteFile)) {
+      handleEnvFileChange(file);
+      return;
+    }
+    delete compiling[absoluteFile];
+    const isUsed = Boolean(cache[absoluteFile] || errors[absoluteFile]);
+    const isIgnored = shouldIgnore(file);
+    if (isUsed) {
+      delete cache[absoluteFile];
+      if (errors[absoluteFile]) {
+        if (fs.existsSync(absoluteFile)) errors[absoluteFile].stale = true;
+        else delete errors[absoluteFile];
+      }
+    }
+    const relativeFile = path.relative(cwd, absoluteFile);
+    const rule = rules.find(({ matches }) => matches(relativeFile));
+    if (rule) {
+      rule.handleChange(relativeFile);
+    } else if (!isIgnored) {
+      // file is in use by the apps or explicitly watched, let's restart!
+      restartApps(relativeFile);
+    }
+    debugWatcher(
+      "Change detected in file: %s. File used by program (%s). File ignored (%s). Rule (%s).",
+      file,
+      isUsed,
+      isIgnored,
+      rule ? rule.action : "none"
+    );
+  }
+
+  // Runs `command` with `payload`, see hooks.js. Resolves to its exit code.
+  function startCommand(command, payload) {
+    const { child, exited } = runCommand(command, cwd, payload);
+    runningCommands.add(child);
+    return exited.then(code => {
+      runningCommands.delete(child);
+      return code;
+    });
+  }
+
+  function formatExitCode(code) {
+    return code == null ? "" : ` with exit code ${code}`;
+  }
+
+  // Runs the command of `hook`, when there is one, with `payload`. Resolves to
+  // false when it failed.
+  async function runHook(hook, payload, logger = { log, logError }) {
+    const command = options[HOOK_OPTIONS[hook]];
+    if (!command) return true;
+    logger.log(`Running ${hook} hook "${command}".`);
+    const code = await startCommand(command, { hook, ...payload });
+    if (code === 0) return true;
+    logger.logError(
+      `The ${hook} hook "${command}" failed${formatExitCode(code)}.`
+    );
+    emitter.emit("hook-error", { hook, entry: payload.entry, code });
+    return false;
+  }
+
+  // Only the apps that loaded the file are affected, unless none did
+  function restartApps(file) {
+    const absoluteFile = path.resolve(cwd, file);
+    const affectedApps = apps.filter(app => app.hasLoaded(absoluteFile));
+    if (affectedApps.length) {
+      affectedApps.forEach(app => app.handleChange(file, false));
+    } else {
+      apps.forEach(app => app.handleChange(file, true));
+    }
+  }
+
+  // Collects the files matching `rule` that changed, and applies its action
+  // to them once they stop changing for `rule.debounce` ms
+  function createRule(rule) {
+    let files = [];
+    // Commands run one at a time, changes made in the meantime run them again
+    let command = null;
+    let commandFiles = [];
+    const matches = anymatch(rule.files);
+    const applyAction = debounce(() => {
+      const changed = files;
+      files = [];
+      if (rule.action === "restart") {
+        changed.forEach(restartApps);
+      } else if (rule.action === "signal") {
+        apps.forEach(app => app.signal(rule.signal, changed));
+      } else if (rule.action === "message") {
+        apps.forEach(app => app.sendMessage(rule.event, changed));
+      } else if (rule.action === "command") {
+        changed.forEach(file => {
+          if (!commandFiles.includes(file)) commandFiles.push(file);
+        });
+        if (!command) runCommand();
+      }
+    }, rule.debounce);
+
+    function runCommand() {
+      const changed = commandFiles;
+      commandFiles = [];
+      log(
+        `Running command "${
+          rule.command
+        }" after change in file(s): ${changed.join(",")}`
+      );
+      command = startCommand(rule.command, {
+        changedFiles: changed.map(file => path.resolve(cwd, file))
+      }).then(code => {
+        command = null;
+        if (code !== 0) {
+          logError(`Command "${rule.command}" failed${formatExitCode(code)}`);
+        }
+        if (commandFiles.length && !closed) runCommand();
+      });
+    }
+
+    return {
+      action: rule.action,
+      matches,
+      handleChange(file) {
+        if (!files.includes(file)) files.push(file);
+        applyAction();
+      },
+      stop() {
+        applyAction.cancel();
+      }
+    };
+  }
+
+  function handleConfigChange(file, absoluteFile) {
+    const dependents = Object.keys(configDependents[absoluteFile]);
+    dependents.forEach(filename => {
+      delete cache[filename];
+      delete compiling[filename];
+      if (errors[filename]) errors[filename].stale = true;
+    });
+    // The new config may change which files are ignored
+    ignored = {};
+    reloadBabel();
+    transpileExtensions = loadTranspileExtensions();
+    const affectedApps = apps.filter(app =>
+      dependents.some(filename => app.hasLoaded(filename))
+    );
+    (affectedApps.length ? affectedApps : apps).forEach(app =>
+      app.handleChange(file, true)
+    );
+    debugWatcher(
+      "Change detected in babel config file: %s. Files compiled with it (%d).",
+      file,
+      dependents.length
+    );
+  }
+
+  function loadEnvFileValues() {
+    const { values, errors } = loadEnvFiles(envFiles, cwd);
+    errors.forEach(error => logError(error));
+    return values;
+  }
+
+  // The apps only get the new variables by restarting
+  function handleEnvFileChange(file) {
+    envFileValues = loadEnvFileValues();
+    apps.forEach(app => app.handleChange(file, true));
+    debugWatcher("Change detected in env file: %s.", file);
+  }
+
+  // Babel caches JS config files for the lifetime of the process and they are
+  // also kept in `require.cache`. Loading a fresh copy of @babel/core is the only
+  // way to make it read them again.
+  function reloadBabel() {
+    const babelDir = path.dirname(require.resolve("@babel/core/package.json"));
+    Object.keys(require.cache).forEach(id => {
+      if (id.startsWith(babelDir + path.sep) || configDependents[id]) {
+        delete require.cache[id];
+      }
+    });
+    babel = require("@babel/core");
+  }
+
+  // Extensions added by the presets and plugins the babel config of the
+  // entries use, see PACKAGE_EXTENSIONS
+  function configExtensions() {
+    const extensions = [];
+    entries.forEach(({ script }) => {
+      let partialConfig;
+      try {
+        partialConfig = babel.loadPartialConfig({
+          filename: path.resolve(cwd, script),
+          cwd,
+          configFile,
+          rootMode,
+          showIgnoredFiles: true
+        });
+      } catch (e) {
+        // the error is reported once the file is compiled
+        return;
+      }
+      if (!partialConfig) return;
+      const { presets = [], plugins = [] } = partialConfig.options;
+      presets.concat(plugins).forEach(item => {
+        const name = item.file && packageName(item.file.resolved);
+        if (!name || !PACKAGE_EXTENSIONS[name]) return;
+        PACKAGE_EXTENSIONS[name].forEach(ext => {
+          if (!extensions.includes(ext)) extensions.push(ext);
+        });
+      });
+    });
+    return extensions;
+  }
+
+  function loadTranspileExtensions() {
+    const extensions = babel.DEFAULT_EXTENSIONS.concat(
+      options.extensions.map(ext => ext.trim())
+    );
+    const fromConfig = configExtensions().filter(
+      ext => !extensions.includes(ext)
+    );
+    if (fromConfig.length) {
+      debugInit("Extensions found in the babel config: %j", fromConfig);
+    }
+    return extensions.concat(fromConfig);
+  }
+
+  function trackConfigFiles(filename, partialConfig) {
+    [
+      partialConfig.config,
+      partialConfig.babelrc,
+      partialConfig.babelignore
+    ].forEach(configFilename => {
+      if (!configFilename) return;
+      if (!configDependents[configFilename]) {
+        configDependents[configFilename] = {};
+        // use relative path for watch.add as it would let chokidar reconsile exclude patterns
+        watcher.add(path.relative(cwd, configFilename));
+      }
+      configDependents[configFilename][filename] = true;
+    });
+  }
+
+  function watchedFiles() {
+    const watched = {};
+    const dirs = watcher.getWatched();
+    Object.keys(dirs).forEach(dir => {
+      dirs[dir].forEach(name => {
+        watched[path.resolve(cwd, dir, name)] = true;
+      });
+    });
+    return watched;
+  }
+
+  function dumpGraph() {
+    apps.forEach(app => app.dumpGraph());
+  }
+
+  // Logs the memory and CPU usage of the apps, see watchdog.js
+  function dumpUsage() {
+    apps.forEach(app => app.dumpUsage());
+  }
+
+  // Resolves to the message sent to the app for `filename`, see encodeSource
+  // `stats` collects the timings of the restart the file is loaded for
+  function handleFileLoad(filename, stats) {
+    const pending = compiling[filename];
+    if (pending) {
+      if (stats) stats.addCacheHit(filename);
+      return pending;
+    }
+    const load = loadFile(filename, stats);
+    compiling[filename] = load;
+    // a change in the meantime replaces it with a new compilation
+    const done = () => {
+      if (compiling[filename] === load) delete compiling[filename];
+    };
+    load.then(done, done);
+    return load;
+  }
+
+  async function loadFile(filename, stats) {
+    const cached = cache[filename];
+    if (cached) {
+      if (fs.statSync(filename).mtime.getTime() === cached.mtime) {
+        if (stats) stats.addCacheHit(filename);
+        return cached.message;
+      }
+    }
+    if (shouldIgnore(filename)) return EMPTY_SOURCE;
+
+    try {
+      const result = await compile(filename, stats);
+      if (!result) {
+        throw new Error("No Result from Babel for file: " + filename);
+      }
+      debugCompile("Compiled file: %s. Success? true", filename);
+      const mtime = fs.statSync(filename).mtime.getTime();
+      const message = encodeSource(result.code, result.map);
+      cache[filename] = { message, mtime };
+      delete errors[filename];
+      return message;
+    } catch (err) {
+      debugCompile("Compiled file: %s. Success? false", filename);
+      // Intentional ignore
+      if (err instanceof IgnoredFileError) {
+        ignored[filename] = true;
+        debugCompile(
+          "File %s ignored due to extension or intentional ignore rule.",
+          filename
+        );
+      } else if (err instanceof SourceReadError) {
+        // Not a compile error, the app gets the same error from node loading it
+        debugCompile("Unable to read file %s: %s", filename, err.message);
+        delete errors[filename];
+      } else {
+        logError(
+          `Babel compilation error in ${path.relative(cwd, filename)}:\n` +
+            formatCompileError(err)
+        );
+        errors[filename] = { error: err, stale: false };
+        emitter.emit("compile-error", { filename, error: err });
+        runHook("on-compile-error", compileErrorFields(filename, err));
+        return FAILED_SOURCE;
+      }
+      return EMPTY_SOURCE;
+    }
+  }
+
+  // Babel includes a code frame in the message of syntax errors and errors
+  // thrown by plugins with `path.buildCodeFrameError`, the stack trace of
+  // babel internals is only noise then.
+  function formatCompileError(err) {
+    if (err.code === "BABEL_PARSE_ERROR" || /^\s*> \d+ \|/m.test(err.message)) {
+      return err.message;
+    }
+    return err.stack;
+  }
+
+  // Runs the script of an entry and restarts it on changes. Each entry has
+  // its own app process, dependency graph and crash state.
+  function createApp(entry, index) {
+    const name = entry.name;
+    const prefix = options.colors
+      ? chalk[ENTRY_COLORS[index % ENTRY_COLORS.length]](`[${name}]`)
+      : `[${name}]`;
+    const { log, logError } = createLogger(
+      options.colors,
+      prefixOutput ? prefix : undefined
+    );
+    const readyPort =
+      entry.readyPort != null
+        ? parseReadyPort(entry.readyPort)
+        : parseReadyPort(options.readyPort);
+
+    const mainModule = entry.script;
+    const scriptArgs = [
+      !mainModule.startsWith(".") && !path.isAbsolute(mainModule)
+        ? path.join(cwd, mainModule)
+        : mainModule
+    ].concat(entry.args);
+    if (inspectorProxy) inspectorProxy.addTarget(name, scriptArgs[0]);
+
+    let childApp, childStartedAt;
+    // App started by a zero-downtime restart that isn't ready yet
+    let pendingApp;
+    // Apps killed by babel-watch, as opposed to apps that exited on their own
+    const stoppedApps = new WeakSet();
+    // Apps listening for the "babel-watch-shutdown" event, see runner.js
+    const shutdownHandshakeApps = new WeakSet();
+    // Apps mapped to the watchdog checking their memory and CPU usage
+    const watchdogs = new WeakMap();
+    // Unexpected exits of the app, most recent last
+    const recentExits = [];
+    let crashRestarts = 0;
+    let crashRestartTimer = null;
+
+    // Set while the app can't start because of compile errors
+    let blocked = false;
+    let recompileId = 0;
+    // Dependency graph of the running app: each file mapped to the files that required it
+    let dependents = {};
+    // Files loaded by the running app
+    let loadedFiles = {};
+
+    const debouncedApplyChanges = debounce(applyChanges, DEBOUNCE_DURATION);
+    let changedFiles = [];
+    // Set when a change can't be applied with a hot update
+    let fullRestartRequired = false;
+    let hotUpdateFiles = null;
+    // When the first of `changedFiles` changed, and stats of the restart in
+    // progress, see `--stats`
+    let firstChangeAt = 0;
+    let restartStats = null;
+    // Set when the app is restarted for exceeding a resource limit
+    let restartReason = null;
+
+    function hasLoaded(filename) {
+      return Boolean(loadedFiles[filename]);
+    }
+
+    // `fullRestart` is set for changes that can't be applied with a hot
+    // update, e.g. to files the app didn't load
+    function handleChange(file, fullRestart) {
+      if (!firstChangeAt) firstChangeAt = Date.now();
+      // a blocked restart keeps the files changed before it
+      if (!changedFiles.includes(file)) changedFiles.push(file); // for logging
+      if (fullRestart) fullRestartRequired = true;
+      debouncedApplyChanges();
+    }
+
+    function applyChanges() {
+      // wait for the result of the hot update in progress, or to be resumed
+      if (hotUpdateFiles || paused) return;
+      if (
+        options.hot &&
+        !fullRestartRequired &&
+        changedFiles.length &&
+        childApp &&
+        childApp.connected
+      ) {
+        hotUpdate();
+      } else {
+        restartApp();
+      }
+    }
+
+    function hotUpdate() {
+      if (!childApp) return;
+      hotUpdateFiles = changedFiles;
+      changedFiles = [];
+      log(`Hot updating file(s): ${hotUpdateFiles.join(",")}`);
+      childApp.send({
+        event: "babel-watch-hot-update",
+        files: hotUpdateFiles.map(file => path.resolve(cwd, file))
+      });
+    }
+
+    function handleHotUpdateResult(result) {
+      const files = hotUpdateFiles || [];
+      hotUpdateFiles = null;
+      if (result.ok) {
+        debugWatcher("Hot update re-executed modules: %j", result.reloaded);
+        // apply changes that came in the meantime
+        if (changedFiles.length) applyChanges();
+      } else {
+        log(`Hot update not possible, ${result.reason}`);
+        changedFiles = files.concat(changedFiles);
+        restartApp();
+      }
+    }
+
+    function addDependency(parent, child) {
+      if (!dependents[child]) dependents[child] = {};
+      dependents[child][parent] = true;
+      debugGraph("File %s required by %s", child, parent);
+    }
+
+    // Returns the shortest chain of files leading from the main script (or any
+    // other file nobody requires) to the given file.
+    function requireChain(filename) {
+      const previous = { [filename]: null };
+      const queue = [filename];
+      while (queue.length) {
+        const current = queue.shift();
+        const parents = Object.keys(dependents[current] || {});
+        if (!parents.length) {
+          const chain = [];
+          for (let file = current; file; file = previous[file]) {
+            chain.push(file);
+          }
+          return chain;
+        }
+        parents.forEach(parent => {
+          if (!(parent in previous)) {
+            previous[parent] = current;
+            queue.push(parent);
+          }
+        });
+      }
+      return [filename];
+    }
+
+    function dumpGraph() {
+      const watched = watchedFiles();
+      const files = {};
+      Object.keys(dependents).forEach(child => {
+        files[child] = true;
+        Object.keys(dependents[child]).forEach(
+          parent => (files[parent] = true)
+        );
+      });
+      Object.keys(loadedFiles).forEach(file => (files[file] = true));
+      const requires = {};
+      Object.keys(dependents).forEach(child => {
+        Object.keys(dependents[child]).forEach(parent => {
+          if (!requires[parent]) requires[parent] = [];
+          requires[parent].push(child);
+        });
+      });
+
+      const sortedFiles = Object.keys(files).sort();
+      log(
+        `Dependency graph (${sortedFiles.length} files, files in node_modules are not reported):`
+      );
+      sortedFiles.forEach(file => {
+        let watchState = "watched";
+        if (!watched[file]) {
+          watchState = options.disableAutowatch
+            ? "not watched: autowatch disabled"
+            : "not watched: excluded";
+        }
+        let compileState = "not transpiled";
+        if (errors[file]) compileState = "compile error";
+        else if (cache[file]) compileState = "transpiled";
+        else if (ignored[file]) compileState = "ignored by babel";
+        console.log(
+          `  ${path.relative(cwd, file)} [${watchState}, ${compileState}]`
+        );
+        (requires[file] || []).forEach(child => {
+          console.log(`    requires ${path.relative(cwd, child)}`);
+        });
+        Object.keys(dependents[file] || {}).forEach(parent => {
+          console.log(`    required by ${path.relative(cwd, parent)}`);
+        });
+      });
+    }
+
+    // Files loaded by the app that failed to compile
+    function failedFiles() {
+      return Object.keys(errors).filter(file => loadedFiles[file]);
+    }
+
+    // Compiles again the files that failed to compile and changed since, as
+    // well as the changed files used by the app that still exist, so that new
+    // errors are found before starting it. Resolves to false when another
+    // restart started in the meantime.
+    async function recompileFailedFiles() {
+      const id = ++recompileId;
+      const files = failedFiles().filter(file => errors[file].stale);
+      changedFiles.forEach(file => {
+        const absoluteFile = path.resolve(cwd, file);
+        if (
+          loadedFiles[absoluteFile] &&
+          !errors[absoluteFile] &&
+          fs.existsSync(absoluteFile)
+        ) {
+          files.push(absoluteFile);
+        }
+      });
+      await Promise.all(files.map(file => handleFileLoad(file, restartStats)));
+      return id === recompileId && !closed;
+    }
+
+    function reportBlocked(files) {
+      blocked = true;
+      logError(
+        `Waiting for compile errors to be fixed before starting the app, in file(s): ${files
+          .map(file => path.relative(cwd, file))
+          .join(", ")}`
+      );
+      emitter.emit("blocked", { entry: name, files });
+    }
+
+    // Kills the child app, or `app` when given. Accepts a callback if you want
+    // to start again once it's dead.
+    function killApp(cb, app = childApp) {
+      let exited = false;
+      // Bail out; not started yet or already killed
+      if (!app) {
+        onExit();
+        return;
+      }
+
+      function clearState() {
+        if (childApp === app) childApp = undefined;
+        if (pendingApp === app) pendingApp = undefined;
+      }
+
+      function onExit() {
+        if (exited) return;
+        exited = true;
+        clearState();
+        cb && cb();
+      }
+
+      // Are we still running?
+      //
+      // From https://nodejs.org/api/process.html#processkillpid-signal
+      //
+      // This method will throw an error if the app pid does not exist.
+      // As a special case, a signal of 0 can be used to test for the existence of a process.
+      //
+      let isRunning = true;
+      try {
+        process.kill(app.pid, 0);
+      } catch (e) {
+        isRunning = false;
+      }
+      if (isRunning) {
+        stoppedApps.add(app);
+        // Restart once it exits
+        app.once("exit", onExit);
+
+        // It's still running. Try to politely kill it, either by asking the app
+        // to shut down when it listens for it, or with a signal.
+        if (shutdownHandshakeApps.has(app) && app.connected) {
+          app.send({ event: "babel-watch-shutdown" });
+        } else {
+          try {
+            app.kill(options.killSignal);
+          } catch (error) {
+            app.kill("SIGKILL");
+          }
+        }
+
+        // It will restart when the app exits.
+        // However, if the child is listening to the signal and ignoring it or cleaning up,
+        // set a timer to ensure we do actually call this closed.
+        // Use option `--restart-timeout` to adjust the timeout here.
+        setTimeout(() => {
+          if (exited) return;
+          // It's still around, make sure it dies.
+          log("Child app took too long to close. Force-restarting...");
+          app.kill("SIGKILL");
+          onExit();
+        }, restartTimeout);
+      } else {
+        // It was dead, so just call back.
+        onExit();
+      }
+    }
+
+    function restartApp() {
+      if (!watcherInitialized || closed) return;
+      // A restart requested by the user or caused by a change is a new attempt
+      // at running the app
+      clearTimeout(crashRestartTimer);
+      crashRestarts = 0;
+      restartStats = collectStats
+        ? createRestartStats(firstChangeAt || Date.now())
+        : null;
+      if (childApp) {
+        emitter.emit("restart", {
+          entry: name,
+          files: changedFiles.map(file => path.resolve(cwd, file)),
+          reason: restartReason
+        });
+        if (options.clearConsole) console.clear();
+        else if (options.message) {
+          // The default message is about changed files
+          let message =
+            restartReason && options.message === DEFAULT_OPTIONS.message
+              ? REASON_MESSAGE
+              : options.message;
+          // Include changed files, or why the app restarts, when possible.
+          if (message.includes("%s"))
+            message = util.format(
+              message,
+              restartReason || changedFiles.join(",")
+            );
+          log(message);
+          logRequireChains();
+        }
+      }
+      restartReason = null;
+      // A newer restart supersedes the one still waiting for its app to be ready
+      if (pendingApp) killApp(null, pendingApp);
+      if (options.zeroDowntime && childApp && childApp.connected) {
+        replaceApp();
+        return;
+      }
+      // The before-restart hook runs while the app is still running, the app
+      // is only killed once it succeeded
+      if (options.beforeRestart) {
+        restartAppInternal();
+        return;
+      }
+      // kill app early as `compile` may take a while
+      // If this is the first run, it will bail out and call back
+      killApp(() => {
+        restartAppInternal();
+      });
+    }
+
+    // Starts a new app next to the running one, which is only stopped once the
+    // new app is ready. If the new app doesn't get ready, it is stopped instead.
+    async function replaceApp() {
+      if (!(await recompileFailedFiles())) return;
+      const files = changedFiles.map(file => path.resolve(cwd, file));
+      if (
+        !(await runBeforeRestart(files, "Keeping the previous app running."))
+      ) {
+        return;
+      }
+      const previousApp = childApp;
+      const app = spawnApp();
+      if (!app) return;
+      pendingApp = app;
+      waitUntilReady(app, error => {
+        if (app !== pendingApp) return; // stopped in the meantime
+        pendingApp = undefined;
+        if (error) {
+          logError(
+            `New app ${error.message}, keeping the previous one running.`
+          );
+          emitter.emit("ready-error", { entry: name, pid: app.pid, error });
+          killApp(null, app);
+          return;
+        }
+        childApp = app;
+        childStartedAt = Date.now();
+        emitter.emit("start", { entry: name, pid: app.pid });
+        runHook(
+          "after-start",
+          { entry: name, pid: app.pid, changedFiles: files },
+          { log, logError }
+        );
+        killApp(null, previousApp);
+      });
+    }
+
+    // Calls back once the app sent the "babel-watch-ready" event (see
+    // runner.js) or, when `readyPort` is set, once the port accepts connections.
+    // Calls back with an error when the app exits or times out first.
+    function waitUntilReady(app, cb) {
+      let done = false;
+      let probeTimer;
+      const timeoutTimer = setTimeout(() => {
+        finish(new Error(`didn't get ready within ${readyTimeout}ms`));
+      }, readyTimeout);
+
+      function finish(error) {
+        if (done) return;
+        done = true;
+        clearTimeout(timeoutTimer);
+        clearTimeout(probeTimer);
+        app.removeListener("message", onMessage);
+        app.removeListener("exit", onAppExit);
+        cb(error);
+      }
+
+      function onMessage(data) {
+        if (data && data.event === "babel-watch-ready") finish();
+      }
+
+      function onAppExit(code, signal) {
+        finish(
+          new Error(
+            `exited with ${signal || `code ${code}`} before getting ready`
+          )
+        );
+      }
+
+      function probePort(address) {
+        const socket = net.connect(address);
+        socket.once("connect", () => {
+          socket.destroy();
+          finish();
+        });
+        socket.once("error", () => {
+          socket.destroy();
+          if (!done)
+            probeTimer = setTimeout(probePort, READY_PROBE_INTERVAL, address);
+        });
+      }
+
+      app.on("exit", onAppExit);
+      if (readyPort) probePort(readyPort);
+      else app.on("message", onMessage);
+    }
+
+    function logRequireChains() {
+      changedFiles.forEach(file => {
+        const absoluteFile = path.resolve(cwd, file);
+        const chain = requireChain(absoluteFile);
+        if (chain.length > 1) {
+          log(
+            "  " +
+              chain.map(filename => path.relative(cwd, filename)).join(" -> ")
+          );
+        }
+      });
+    }
+
+    // Kills the running app, if any, once the changed files compiled and the
+    // before-restart hook succeeded, and starts a new one
+    async function restartAppInternal() {
+      if (!(await recompileFailedFiles())) return;
+      const id = recompileId;
+      const files = changedFiles.map(file => path.resolve(cwd, file));
+      if (
+        !(await runBeforeRestart(
+          files,
+          childApp
+            ? "Keeping the previous app running."
+            : "The app will start on the next change."
+        ))
+      ) {
+        return;
+      }
+      killApp(() => {
+        // another restart started while the app was being killed
+        if (id !== recompileId || closed) return;
+        startApp(files);
+      });
+    }
+
+    function startApp(files) {
+      const app = spawnApp();
+      if (!app) return;
+      childApp = app;
+      childStartedAt = Date.now();
+      emitter.emit("start", { entry: name, pid: app.pid });
+      runHook(
+        "after-start",
+        { entry: name, pid: app.pid, changedFiles: files },
+        { log, logError }
+      );
+    }
+
+    // Runs the before-restart hook, unless compile errors prevent the app
+    // from starting anyway. Resolves to false when the hook failed, in which
+    // case `consequence` is logged, or when another restart started meanwhile.
+    async function runBeforeRestart(files, consequence) {
+      if (!options.beforeRestart || failedFiles().length) return true;
+      const id = recompileId;
+      const succeeded = await runHook(
+        "before-restart",
+        { entry: name, changedFiles: files },
+        { log, logError }
+      );
+      if (id !== recompileId || closed) return false;
+      if (succeeded) return true;
+      if (!childApp && !Object.keys(watchedFiles()).length) {
+        // No change can start the app, don't wait for one
+        logError("No files are watched, exiting.");
+        close().then(() => emitter.emit("exit", { code: 1 }));
+        return false;
+      }
+      logError(consequence);
+      return false;
+    }
+
+    // Forks a new app, returns undefined when it can't be started
+    function spawnApp() {
+      if (closed) return;
+      const failed = failedFiles();
+      if (failed.length != 0) {
+        // There were some transpilation errors, don't start unless solved or invalid file is removed
+        reportBlocked(failed);
+        return;
+      }
+      if (blocked) {
+        blocked = false;
+        log("All compile errors fixed, starting the app.");
+      }
+
+      changedFiles = []; // reset state
+      firstChangeAt = 0;
+      fullRestartRequired = false;
+      hotUpdateFiles = null;
+      dependents = {};
+      loadedFiles = {};
+      // Support for --debug option
+      const runnerExecArgv = process.execArgv.slice();
+      if (options.debug) {
+        runnerExecArgv.push(
+          typeof options.debug === "boolean"
+            ? `--debug`
+            : `--debug=${options.debug}`
+        );
+      }
+      // Support for --debug-brk option
+      if (options.debugBrk) {
+        runnerExecArgv.push("--debug-brk");
+      }
+      if (inspectorProxy) {
+        // Only the proxy knows where the inspector of the app listens
+        runnerExecArgv.push(
+          `${options.inspectBrk ? "--inspect-brk" : "--inspect"}=127.0.0.1:0`
+        );
+      } else if (options.inspect) {
+        // Support for --inspect option
+        // Somehow, the default port (2992) is being passed from the node command line. Wipe it out.
+        const inspectArg =
+          typeof options.inspect === "boolean"
+            ? `--inspect`
+            : `--inspect=${options.inspect}`;
+        runnerExecArgv.push(inspectArg);
+      }
+      if (options.inspectBrk && !inspectorProxy) {
+        // Support for --inspect-brk option
+        const inspectBrkArg =
+          typeof options.inspectBrk === "boolean"
+            ? `--inspect-brk`
+            : `--inspect-brk=${options.inspectBrk}`;
+        runnerExecArgv.push(inspectBrkArg);
+      }
+
+      // Pass options into execargv for easy use of options like `--trace-exit`.
+      // You can use NODE_OPTIONS to pass the option to both the watcher and the child,
+      // or `BABEL_WATCH_NODE_OPTIONS` to only pass it to the child.
+      if (process.env.BABEL_WATCH_NODE_OPTIONS) {
+        runnerExecArgv.push(
+          ...stringArgv(process.env.BABEL_WATCH_NODE_OPTIONS)
+        );
+      }
+
+      const runnerPath = path.resolve(__dirname, "runner.js");
+      const output = prefixOutput ? "pipe" : "inherit";
+      const app = fork(runnerPath, {
+        cwd,
+        env: { ...envFileValues, ...process.env },
+        execArgv: runnerExecArgv,
+        // The extra pipe carries transpiled files, see `SOURCE_FD` in runner.js
+        stdio: [
+          "inherit",
+          output,
+          inspectorProxy ? "pipe" : output,
+          "ipc",
+          "pipe"
+        ]
+      });
+      emitter.emit("spawn", { entry: name, pid: app.pid });
+      if (prefixOutput) prefixLines(app.stdout, process.stdout, prefix);
+      const debuggersAttached = inspectorProxy
+        ? attachDebuggers(app, inspectorProxy)
+        : null;
+      if (prefixOutput && !inspectorProxy) {
+        prefixLines(app.stderr, process.stderr, prefix);
+      }
+      let stats = restartStats;
+      let statsTimer = null;
+      restartStats = null;
+      if (stats) stats.addSpawn();
+
+      const watchdog = createWatchdog(limits, (resource, reason) =>
+        handleLimitExceeded(app, resource, reason)
+      );
+      watchdogs.set(app, watchdog);
+      app.on("exit", () => watchdog.stop());
+
+      const sourceChannel = app.stdio[4];
+      // Writes fail once the app exited, there is no one left to read them
+      sourceChannel.on("error", () => {});
+
+      app.on("message", data => {
+        try {
+          if (data && data.event === "babel-watch-dependency") {
+            addDependency(data.parent, data.child);
+            return;
+          }
+          if (data && data.event === "babel-watch-shutdown-listener") {
+            shutdownHandshakeApps.add(app);
+            return;
+          }
+          if (data && data.event === "babel-watch-hot-update-result") {
+            handleHotUpdateResult(data);
+            return;
+          }
+          if (data && data.event === "babel-watch-resources") {
+            watchdog.sample(data);
+            return;
+          }
+        } catch (err) {
+          emitter.emit("error", err);
+        }
+      });
+
+      // The app asks for files over the source channel as well, with the byte
+      // length of the filename as UInt32BE followed by the filename. It waits
+      // for each file before asking for the next one.
+      let request = Buffer.alloc(0);
+      sourceChannel.on("data", chunk => {
+        request = request.length ? Buffer.concat([request, chunk]) : chunk;
+        while (
+          request.length >= 4 &&
+          request.length >= 4 + request.readUInt32BE(0)
+        ) {
+          const end = 4 + request.readUInt32BE(0);
+          handleSourceRequest(request.toString("utf8", 4, end));
+          request = request.subarray(end);
+        }
+      });
+
+      async function handleSourceRequest(filename) {
+        try {
+          loadedFiles[filename] = true;
+          if (!options.disableAutowatch) {
+            // use relative path for watch.add as it would let chokidar reconsile exclude patterns
+            const relativeFilename = path.relative(cwd, filename);
+            watcher.add(relativeFilename);
+          }
+          sourceChannel.write(await handleFileLoad(filename, stats));
+          if (stats) {
+            stats.addLoad();
+            clearTimeout(statsTimer);
+            statsTimer = setTimeout(reportStats, STATS_SETTLE_DURATION);
+          }
+        } catch (err) {
+          emitter.emit("error", err);
+        }
+      }
+
+      // Once the app is done loading modules, or exited before
+      function reportStats() {
+        clearTimeout(statsTimer);
+        if (!stats || !stats.hasLoads()) return;
+        const summary = stats.summary(cwd);
+        stats = null;
+        if (options.stats) formatStats(summary).forEach(line => log(line));
+        if (statsFile) {
+          try {
+            statsFile.add(name, summary);
+          } catch (e) {
+            logError(`Unable to write the stats file: ${e.message}`);
+          }
+        }
+        emitter.emit("stats", { entry: name, ...summary });
+      }
+
+      app.on("exit", (code, signal) => {
+        reportStats();
+        log("Runner closed with", { code, signal });
+        emitter.emit("child-exit", { entry: name, pid: app.pid, code, signal });
+        if (app === childApp && !stoppedApps.has(app) && !closed) {
+          handleUnexpectedExit(app.pid, code, signal);
+        }
+      });
+
+      const startMessage = {
+        event: "babel-watch-start",
+        args: scriptArgs,
+        debug,
+        handleUncaughtExceptions: !options.disableExHandler,
+        transpileExtensions,
+        transpileModules: options.transpileModules,
+        hot: Boolean(options.hot),
+        resourceInterval: RESOURCE_SAMPLE_INTERVAL
+      };
+      if (debuggersAttached) {
+        // so that breakpoints are set before the script runs
+        debuggersAttached.then(() => {
+          if (app.connected) app.send(startMessage);
+        });
+      } else {
+        app.send(startMessage);
+      }
+      return app;
+    }
+
+    // Copies the error output of `app` but for the messages of its inspector,
+    // which tell where it listens. Resolves once the debuggers connected to
+    // the proxy are attached to it.
+    function attachDebuggers(app, proxy) {
+      return new Promise(resolve => {
+        let url = null;
+        const timer = setTimeout(resolve, INSPECTOR_ATTACH_TIMEOUT);
+        forEachLine(app.stderr, line => {
+          const match = INSPECTOR_OUTPUT.exec(line);
+          if (!match) {
+            process.stderr.write(
+              prefixOutput ? `${prefix} ${line}\n` : `${line}\n`
+            );
+          } else if (match[1] && !url) {
+            url = match[1];
+            proxy.attach(name, url).then(() => {
+              clearTimeout(timer);
+              resolve();
+            });
+          }
+        });
+        app.on("exit", () => {
+          clearTimeout(timer);
+          if (url) proxy.detach(name, url);
+          resolve();
+        });
+      });
+    }
+
+    // Only the running app is watched, not a new one getting ready
+    function handleLimitExceeded(app, resource, reason) {
+      if (app !== childApp || stoppedApps.has(app) || closed) return;
+      emitter.emit("resource-limit", {
+        entry: name,
+        pid: app.pid,
+        resource,
+        reason,
+        action: options.limitAction
+      });
+      if (options.limitAction === "restart") {
+        restartReason = reason;
+        restartApp();
+      } else {
+        logError(`Warning: ${reason}.`);
+      }
+    }
+
+    function usage() {
+      const watchdog = childApp && watchdogs.get(childApp);
+      return watchdog ? watchdog.usage() : null;
+    }
+
+    function dumpUsage() {
+      const current = usage();
+      if (!childApp) log("The app is not running.");
+      else if (!current) log(`pid ${childApp.pid}, no usage reported yet.`);
+      else {
+        log(
+          `pid ${childApp.pid}: ${formatMemory(
+            current.rss
+          )} of memory (RSS, peak ${formatMemory(current.peakRss)}), ${
+            current.cpu
+          }% CPU`
+        );
+      }
+    }
+
+    function handleUnexpectedExit(pid, code, signal) {
+      const uptime = Date.now() - childStartedAt;
+      recentExits.push({ time: new Date(), code, signal, uptime });
+      if (recentExits.length > MAX_RECENT_EXITS) recentExits.shift();
+      // The app stopped on a file that failed to compile, restarting it before
+      // the file is fixed would only fail again
+      const failed = failedFiles();
+      if (failed.length && options.crashPolicy !== "exit") {
+        reportBlocked(failed);
+        return;
+      }
+      if (code !== 0) {
+        runHook(
+          "on-crash",
+          { entry: name, pid, exitCode: code, signal, uptime },
+          { log, logError }
+        );
+      }
+
+      if (options.crashPolicy === "exit") {
+        // Mirror the exit code of the app, the same way a shell reports signals
+        const exitCode =
+          // $FlowIgnore flow-bin we use doesn't know about os.constants
+          code != null ? code : 128 + (os.constants.signals[signal] || 0);
+        close().then(() => emitter.emit("exit", { code: exitCode }));
+        return;
+      }
+      const crashed = code !== 0;
+      if (options.crashPolicy !== "restart" || !crashed) return;
+
+      if (uptime >= STABLE_UPTIME) crashRestarts = 0;
+      if (crashRestarts >= options.crashMaxRestarts) {
+        logCrashLoop();
+        return;
+      }
+      const delay = options.crashBackoff * Math.pow(2, crashRestarts);
+      crashRestarts++;
+      log(
+        `App crashed, restarting in ${delay}ms (attempt ${crashRestarts}/${options.crashMaxRestarts})`
+      );
+      crashRestartTimer = setTimeout(() => {
+        killApp(() => restartAppInternal());
+      }, delay);
+    }
+
+    function logCrashLoop() {
+      logError(
+        `App is crash-looping, it crashed ${
+          crashRestarts + 1
+        } times in a row. Waiting for a file change to restart it. Recent exits:`
+      );
+      recentExits.forEach(({ time, code, signal, uptime }) => {
+        const reason = signal ? `signal ${signal}` : `exit code ${code}`;
+        logError(
+          `  ${time.toLocaleTimeString()} ${reason} after running for ${uptime}ms`
+        );
+      });
+    }
+
+    function resume() {
+      if (changedFiles.length) applyChanges();
+    }
+
+    // Signals and messages sent to the app when files matching a rule change
+    function signal(signalName, files) {
+      if (!childApp) return;
+      log(
+        `Sending ${signalName} to the app after change in file(s): ${files.join(
+          ","
+        )}`
+      );
+      childApp.kill(signalName);
+    }
+
+    function sendMessage(event, files) {
+      if (!childApp || !childApp.connected) return;
+      log(
+        `Sending "${event}" to the app after change in file(s): ${files.join(
+          ","
+        )}`
+      );
+      childApp.send({
+        event,
+        files: files.map(file => path.resolve(cwd, file))
+      });
+    }
+
+    function status() {
+      return {
+        name,
+        pid: childApp ? childApp.pid : null,
+        uptime: childApp ? Date.now() - childStartedAt : null,
+        blocked,
+        loadedFiles: Object.keys(loadedFiles).length,
+        pendingChanges: changedFiles.map(file => path.resolve(cwd, file)),
+        resources: usage()
+      };
+    }
+
+    function stop() {
+      clearTimeout(crashRestartTimer);
+      debouncedApplyChanges.cancel();
+      if (pendingApp) killApp(null, pendingApp);
+      return new Promise(resolve => killApp(resolve));
+    }
+
+    return {
+      name,
+      hasLoaded,
+      handleChange,
+      restart: restartApp,
+      dumpGraph,
+      dumpUsage,
+      resume,
+      signal,
+      sendMessage,
+      status,
+      stop
+    };
+  }
+
+  // Only ignore based on extension for now, which we keep track of on our own for file watcher
+  // purposes. `ignore` and `only` are passed to `babel.OptionManager` to let it make its own
+  // determinations.
+  function shouldIgnore(filename) {
+    if (!transpileExtensions.includes(path.extname(filename))) {
+      return true;
+    } else if (ignored[filename]) {
+      // ignore cache for extra speed
+      return true;
+    }
+    return false;
+  }
+
+  const readFile = util.promisify(fs.readFile);
+
+  function loadOptions(filename) {
+    const transpiledModule = isTranspiledModule(filename);
+    const partialConfig = babel.loadPartialConfig({
+      filename,
+      cwd,
+      ignore: transpiledModule ? undefined : ignore,
+      only: transpiledModule ? undefined : only,
+      configFile,
+      rootMode
+    });
+
+    // If partialConfig is not present, the file is ignored, either by explicit input into
+    // babel-watch or by `.babelignore`.
+    if (!partialConfig) {
+      throw new IgnoredFileError();
+    }
+    trackConfigFiles(filename, partialConfig);
+    const opts = new babel.OptionManager().init(partialConfig.options);
+    // Do not process config files since has already been done with the loadPartialConfig
+    // call above and would introduce duplicates.
+    opts.babelrc = false;
+    opts.sourceMaps = debug && options.debugSourceMaps ? "inline" : true;
+    opts.ast = false;
+    return { opts, dependencies: configDependencies(partialConfig) };
+  }
+
+  // Files the babel config of a file is made of, see `cacheKey`
+  function configDependencies(partialConfig) {
+    // `files` includes extended configs, older babel versions don't have it
+    const files = partialConfig.files
+      ? Array.from(partialConfig.files)
+      : [
+          partialConfig.config,
+          partialConfig.babelrc,
+          partialConfig.babelignore
+        ].filter(Boolean);
+    const { presets = [], plugins = [] } = partialConfig.options;
+    presets.concat(plugins).forEach(item => {
+      if (item.file) files.push(item.file.resolved);
+    });
+    return files;
+  }
+
+  async function compile(filename, stats) {
+    const { opts, dependencies } = loadOptions(filename);
+    let source;
+    try {
+      source = await readFile(filename, "utf8");
+    } catch (e) {
+      throw new SourceReadError(e.message);
+    }
+    if (!diskCache) {
+      return transform(filename, source, opts, stats);
+    }
+
+    const key = cacheKey(source, opts, babel.version, dependencies);
+    const cached = diskCache.get(filename, key);
+    debugCompile(
+      "Disk cache %s for file: %s (hits: %d, misses: %d)",
+      cached ? "hit" : "miss",
+      filename,
+      diskCache.stats.hits,
+      diskCache.stats.misses
+    );
+    if (cached) {
+      if (stats) stats.addDiskCacheHit();
+      return cached;
+    }
+    const result = await transform(filename, source, opts, stats);
+    if (result) diskCache.set(filename, key, result);
+    return result;
+  }
+
+  async function transform(filename, source, opts, stats) {
+    emitter.emit("compile-start", { filename });
+    const startedAt = Date.now();
+    const result = await babel.transformAsync(source, opts);
+    if (stats) stats.addCompiled(filename, Date.now() - startedAt);
+    return result;
+  }
+
+  // Restarts the app of the given entry, or all of them
+  function restart(name /*: ?string */) {
+    if (name && !apps.some(app => app.name === name)) {
+      logError(`Unknown entry "${name}"`);
+      return;
+    }
+    apps.forEach(app => {
+      if (!name || app.name === name) app.restart();
+    });
+  }
+
+  function pause() {
+    if (paused) return;
+    paused = true;
+    log("Paused, file changes won't restart the app until resumed.");
+  }
+
+  function resume() {
+    if (!paused) return;
+    paused = false;
+    log("Resumed.");
+    apps.forEach(app => app.resume());
+  }
+
+  // Compiles every file again the next time it is loaded
+  function clearCache() {
+    Object.keys(cache).forEach(file => delete cache[file]);
+    Object.keys(compiling).forEach(file => delete compiling[file]);
+    ignored = {};
+    if (diskCache) diskCache.clear();
+    log("Compile cache cleared.");
+  }
+
+  function status() {
+    return {
+      pid: process.pid,
+      uptime: Date.now() - startedAt,
+      paused,
+      entries: apps.map(app => app.status()),
+      watchedFiles: Object.keys(watchedFiles()).sort(),
+      compileErrors: Object.keys(errors)
+        .sort()
+        .map(file => ({
+          file,
+          message: formatCompileError(errors[file].error)
+        }))
+    };
+  }
+
+  function close() {
+    closed = true;
+    watcher.close();
+    rules.forEach(rule => rule.stop());
+    runningCommands.forEach(child => child.kill());
+    if (inspectorProxy) inspectorProxy.close();
+    return Promise.all(apps.map(app => app.stop())).then(() => {});
+  }
+
+  // Start on next tick so that listeners can be attached first
+  process.nextTick(() => {
+    // there's nothing to scan without `watch` paths
+    if (watcherInitialized) emitter.emit("watcher-ready");
+    restart();
+  });
+
+  emitter.restart = restart;
+  emitter.close = close;
+  emitter.dumpGraph = dumpGraph;
+  emitter.dumpUsage = dumpUsage;
+  emitter.pause = pause;
+  emitter.resume = resume;
+  emitter.clearCache = clearCache;
+  emitter.status = status;
+  return emitter;
+}
+
+module.exports = { createBabelWatch };
@@ -0,0 +1,378 @@
+// @flow
+
+"use strict";
+
+const crypto = require("crypto");
+const http = require("http");
+const net = require("net");
+const { pathToFileURL } = require("url");
+const { acceptWebSocket, connectWebSocket } = require("./websocket");
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 9229;
+// Ids of the commands the proxy sends itself, far above the ones debuggers use
+const PROXY_ID_BASE = 1000000000;
+// Settings of the debugger replayed to each new app, along with the domains it
+// enabled and its breakpoints
+const SETTINGS = [
+  "Debugger.setAsyncCallStackDepth",
+  "Debugger.setBlackboxPatterns",
+  "Debugger.setBreakpointsActive",
+  "Debugger.setPauseOnExceptions",
+  "Debugger.setSkipAllPauses",
+  "Runtime.setAsyncCallStackDepth"
+];
+const RUN_IF_WAITING = "Runtime.runIfWaitingForDebugger";
+
+// The address given to `--inspect`: "host:port", "port", "host" or nothing
+function parseInspectAddress(
+  value /*: mixed */
+) /*: { host: string, port: number } */ {
+  if (typeof value !== "string" && typeof value !== "number") {
+    return { host: DEFAULT_HOST, port: DEFAULT_PORT };
+  }
+  const address = String(value);
+  if (/^\d+$/.test(address))
+    return { host: DEFAULT_HOST, port: Number(address) };
+  const separator = address.lastIndexOf(":");
+  const port =
+    separator < 0 ? DEFAULT_PORT : Number(address.slice(separator + 1));
+  if (!Number.isInteger(port)) {
+    throw new TypeError(`Invalid inspector address "${address}"`);
+  }
+  const host = separator < 0 ? address : address.slice(0, separator);
+  // IPv6 addresses are in brackets, e.g. "[::1]:9229"
+  return { host: host.replace(/^\[(.*)\]$/, "$1") || DEFAULT_HOST, port };
+}
+
+// Anyone who knows the id of a target can run code in the app, e.g. a web
+// page with a WebSocket, so ids are random. Each entry keeps its id across
+// restarts of its app.
+function targetId() {
+  const hex = crypto.randomBytes(16).toString("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32)
+  ].join("-");
+}
+
+// Like the inspector of node, only requests addressed to an IP or localhost
+// are accepted. Pages of other hosts resolving to 127.0.0.1 (DNS rebinding)
+// can't read the ids of the targets then. Used by the control server too.
+function isAllowedHost(host /*: ?string */) /*: boolean */ {
+  if (!host) return true;
+  const hostname = host.replace(/:\d*$/, "").replace(/^\[(.*)\]$/, "$1");
+  return hostname.toLowerCase() === "localhost" || net.isIP(hostname) !== 0;
+}
+
+// Enabled domains go first, the commands that need them next, and the app is
+// told to run last
+function replayOrder({ method }) {
+  if (method.endsWith(".enable")) return 0;
+  return method === RUN_IF_WAITING ? 2 : 1;
+}
+
+// A debugger connected to the proxy. It's forwarded to the inspector of each
+// app in turn, which gets the breakpoints and settings of the debugger before
+// the debugger's own commands.
+function createSession(client) {
+  // Commands replayed to each new app, by domain, setting or breakpoint
+  const setup = new Map();
+  // Ids of the breakpoints set by the debugger mapped to their key in `setup`
+  const breakpointKeys = new Map();
+  // Commands of the debugger waiting for a response from the app, by id
+  const pending = new Map();
+  // Commands of the debugger sent while it wasn't attached to an app
+  const queue = [];
+  // Replayed commands waiting for a response from the app, by id
+  const replayed = new Map();
+  // Execution contexts of the app, the app exits once they're all destroyed
+  const contexts = new Set();
+  let upstream = null;
+  let paused = false;
+  let nextId = PROXY_ID_BASE;
+  let connectId = 0;
+  let closed = false;
+
+  function record({ id, method, params, sessionId }) {
+    // commands for workers and the like only last as long as they do
+    if (sessionId || typeof method !== "string") return;
+    if (method.endsWith(".enable") || SETTINGS.includes(method)) {
+      setup.set(method, { method, params });
+    } else if (method.endsWith(".disable")) {
+      setup.delete(method.replace(/disable$/, "enable"));
+    } else if (method === RUN_IF_WAITING) {
+      setup.set(method, { method });
+    } else if (method === "Debugger.setBreakpointByUrl") {
+      setup.set(`breakpoint:${id}`, { method, params });
+    } else if (method === "Debugger.removeBreakpoint" && params) {
+      setup.delete(breakpointKeys.get(params.breakpointId));
+      breakpointKeys.delete(params.breakpointId);
+    }
+  }
+
+  function send(message) {
+    record(message);
+    if (message.id != null) pending.set(message.id, message);
+    if (upstream) upstream.send(JSON.stringify(message));
+  }
+
+  function handleClientMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    if (upstream) send(message);
+    else queue.push(message);
+  }
+
+  function handleAppMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    const resolve = replayed.get(message.id);
+    if (resolve) {
+      replayed.delete(message.id);
+      resolve();
+      return;
+    }
+    const command = message.id != null ? pending.get(message.id) : null;
+    if (command) {
+      pending.delete(message.id);
+      if (command.method === "Debugger.setBreakpointByUrl") {
+        const key = `breakpoint:${command.id}`;
+        if (message.result)
+          breakpointKeys.set(message.result.breakpointId, key);
+        else setup.delete(key);
+      }
+    }
+    const params = message.params || {};
+    if (message.method === "Runtime.executionContextCreated") {
+      contexts.add(params.context.id);
+    } else if (message.method === "Runtime.executionContextsCleared") {
+      contexts.clear();
+    } else if (message.method === "Debugger.paused") {
+      paused = true;
+    } else if (message.method === "Debugger.resumed") {
+      paused = false;
+    }
+    client.send(text);
+    if (message.method === "Runtime.executionContextDestroyed") {
+      contexts.delete(params.executionContextId);
+      // The app is exiting and waits for debuggers to disconnect
+      if (!contexts.size) detach();
+    }
+  }
+
+  // Tells the debugger the app is gone
+  function handleAppGone() {
+    upstream = null;
+    pending.forEach((command, id) =>
+      client.send(
+        JSON.stringify({
+          id,
+          error: { code: -32000, message: "The app restarted" }
+        })
+      )
+    );
+    pending.clear();
+    replayed.forEach(resolve => resolve());
+    replayed.clear();
+    if (paused) client.send(JSON.stringify({ method: "Debugger.resumed" }));
+    paused = false;
+    if (contexts.size) {
+      client.send(
+        JSON.stringify({ method: "Runtime.executionContextsCleared" })
+      );
+    }
+    contexts.clear();
+  }
+
+  function detach() {
+    const socket = upstream;
+    if (!socket) return;
+    handleAppGone();
+    socket.close();
+  }
+
+  // Attaches to the inspector listening on `url`, resolves once the
+  // breakpoints and settings of the debugger are applied
+  async function connect(url /*: string */) /*: Promise<void> */ {
+    detach();
+    const id = ++connectId;
+    let socket;
+    try {
+      socket = await connectWebSocket(url);
+    } catch (e) {
+      // the app exited in the meantime
+      return;
+    }
+    if (id !== connectId || closed) {
+      socket.close();
+      return;
+    }
+    upstream = socket;
+    socket.on("message", handleAppMessage);
+    socket.on("close", () => {
+      if (upstream === socket) handleAppGone();
+    });
+    const replies = Array.from(setup.values())
+      .sort((a, b) => replayOrder(a) - replayOrder(b))
+      .map(
+        command =>
+          new Promise(resolve => {
+            const replayId = ++nextId;
+            replayed.set(replayId, resolve);
+            socket.send(JSON.stringify({ ...command, id: replayId }));
+          })
+      );
+    queue.splice(0).forEach(send);
+    await Promise.all(replies);
+  }
+
+  function close() {
+    closed = true;
+    detach();
+    client.close();
+  }
+
+  client.on("message", handleClientMessage);
+  return { connect, detach, close };
+}
+
+// Listens for debuggers on `address` and forwards them to the inspector of
+// the running app of each entry, see `attach`. Debuggers connected to the
+// proxy stay connected when the app restarts.
+function createInspectorProxy(
+  address /*: {
+  host: string,
+  port: number
+} */
+) /*: Object */ {
+  // Entries mapped to `{ id, name, script, url, sessions }`, `url` being the
+  // address of the inspector of the running app
+  const targets = new Map();
+
+  function describe(target, host) {
+    const ws = `${host}/${target.id}`;
+    return {
+      description: "node.js instance",
+      devtoolsFrontendUrl: `devtools://devtools/bundled/js_app.html?experiments=true&v8only=true&ws=${ws}`,
+      devtoolsFrontendUrlCompat: `devtools://devtools/bundled/inspector.html?experiments=true&v8only=true&ws=${ws}`,
+      faviconUrl: "https://nodejs.org/static/images/favicons/favicon.ico",
+      id: target.id,
+      title: target.name,
+      type: "node",
+      url: pathToFileURL(target.script).href,
+      webSocketDebuggerUrl: `ws://${ws}`
+    };
+  }
+
+  // The same endpoints as the inspector of node, which debuggers use to find
+  // the apps to attach to
+  const server = http.createServer((req, res) => {
+    if (!isAllowedHost(req.headers.host)) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
+    const { pathname } = new URL(req.url, "http://localhost");
+    const host = req.headers.host || `${address.host}:${address.port}`;
+    let body;
+    if (pathname === "/json" || pathname === "/json/list") {
+      body = Array.from(targets.values(), target => describe(target, host));
+    } else if (pathname === "/json/version") {
+      body = {
+        Browser: `node.js/${process.version}`,
+        "Protocol-Version": "1.1"
+      };
+    } else {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json; charset=UTF-8" });
+    res.end(JSON.stringify(body));
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const target = Array.from(targets.values()).find(
+      ({ id }) => req.url === `/${id}`
+    );
+    if (!isAllowedHost(req.headers.host)) {
+      socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return;
+    }
+    if (!target) {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+      return;
+    }
+    const client = acceptWebSocket(req, socket, head);
+    const session = createSession(client);
+    target.sessions.add(session);
+    client.on("close", () => {
+      target.sessions.delete(session);
+      session.close();
+    });
+    if (target.url) session.connect(target.url);
+  });
+
+  // Resolves to the address the proxy listens on, "host:port"
+  function listen() /*: Promise<string> */ {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(address.port, address.host, () => {
+        server.removeListener("error", reject);
+        resolve(`${address.host}:${server.address().port}`);
+      });
+    });
+  }
+
+  function addTarget(name /*: string */, script /*: string */) {
+    targets.set(name, {
+      id: targetId(),
+      name,
+      script,
+      url: (null /*: ?string */),
+      sessions: new Set()
+    });
+  }
+
+  // Moves the debuggers of entry `name` to the app whose inspector listens on
+  // `url`. Resolves once they are attached to it.
+  function attach(name /*: string */, url /*: string */) /*: Promise<void> */ {
+    const target = targets.get(name);
+    if (!target) return Promise.resolve();
+    target.url = url;
+    return Promise.all(
+      Array.from(target.sessions, session => session.connect(url))
+    ).then(() => {});
+  }
+
+  // Once the app whose inspector listens on `url` exited
+  function detach(name /*: string */, url /*: string */) {
+    const target = targets.get(name);
+    if (!target || target.url !== url) return;
+    target.url = null;
+    target.sessions.forEach(session => session.detach());
+  }
+
+  function close() {
+    server.close();
+    targets.forEach(target =>
+      target.sessions.forEach(session => session.close())
+    );
+  }
+
+  return { listen, addTarget, attach, detach, close };
+}
+
+module.exports = { parseInspectAddress, createInspectorProxy, isAllowedHost };
@@ -0,0 +1,60 @@
+// @flow
+
+"use strict";
+
+const chalk = require("chalk");
+
+// `prefix` is printed after the preamble, e.g. the name of an entry
+function createLogger(
+  colors /*: boolean */,
+  prefix /*: ?string */
+) /*: Object */ {
+  const prefixes = prefix ? [prefix] : [];
+
+  function log(...msg) {
+    const preamble = colors
+      ? chalk.blue.bold.underline("babel-watch:")
+      : ">>> babel-watch:";
+    console.log(preamble, ...prefixes, ...msg);
+  }
+
+  function logError(...msg) {
+    const preamble = colors
+      ? chalk.red.bold.underline("babel-watch:")
+      : ">>> babel-watch:";
+    console.error(preamble, ...prefixes, ...msg);
+  }
+
+  return { log, logError };
+}
+
+// Calls `cb` with each line of the `input` stream, without the line break
+function forEachLine(
+  input /*: stream$Readable */,
+  cb /*: (line: string) => void */
+) {
+  let rest = "";
+  input.setEncoding("utf8");
+  input.on("data", chunk => {
+    const lines = (rest + chunk).split("\n");
+    rest = lines.pop();
+    lines.forEach(cb);
+  });
+  input.on("end", () => {
+    if (rest) cb(rest);
+  });
+}
+
+// Copies the `input` stream to `output` line by line, each line starting with
+// `prefix`
+function prefixLines(
+  input /*: stream$Readable */,
+  output /*: stream$Writable */,
+  prefix /*: string */
+) {
+  forEachLine(input, line => {
+    output.write(`${prefix} ${line}\n`);
+  });
+}
+
+module.exports = { createLogger, forEachLine, prefixLines };
@@ -0,0 +1,39 @@
+// @flow
+
+"use strict";
+
+const path = require("path");
+
+// Name of the package a file in node_modules belongs to, e.g. "@acme/ui" for
+// /app/node_modules/@acme/ui/src/button.js, or null for files outside of
+// node_modules
+function packageName(filename /*: string */) /*: ?string */ {
+  const parts = filename.split(path.sep);
+  const index = parts.lastIndexOf("node_modules");
+  if (index < 0 || index + 1 >= parts.length) return null;
+  const name = parts[index + 1];
+  return name.startsWith("@") ? `${name}/${parts[index + 2]}` : name;
+}
+
+// `*` matches any part of a package name but the scope separator
+function globToRegExp(glob) {
+  return glob
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/]*");
+}
+
+// Returns a function telling whether a file belongs to one of the packages in
+// node_modules matching `patterns`, package names or globs like "@acme/*"
+function createPackageMatcher(
+  patterns /*: Array<string> */
+) /*: (filename: string) => boolean */ {
+  if (!patterns.length) return () => false;
+  const regExp = new RegExp(`^(?:${patterns.map(globToRegExp).join("|")})$`);
+  return filename => {
+    const name = packageName(filename);
+    return name != null && regExp.test(name);
+  };
+}
+
+module.exports = { createPackageMatcher, packageName };
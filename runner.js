@@ -2,13 +2,50 @@
 
 const path = require("path");
 const fs = require("fs");
+const childProcess = require("child_process");
+// $FlowIgnore doesn't recognize 'module' as it is internal
+const Module = require("module");
+const url = require("url");
+// $FlowIgnore flow-bin we use doesn't know about worker_threads
+const workerThreads = require("worker_threads");
 const sourceMapSupport = require("source-map-support");
+const { createPackageMatcher } = require("./package-matcher");
+const {
+  createSourceChannel,
+  createLock,
+  COMPILE_FAILED
+} = require("./source-channel");
+
+const { MessageChannel } = workerThreads;
 
 let sources = {};
 let maps = {};
+let hot = false;
+// Packages in node_modules the app wants transpiled, see `--transpile-modules`
+let isTranspiledModule /*: (filename: string) => boolean */ = () => false;
+
+// Worker threads started by the app load this file with `--require` and get
+// a channel to the thread that started them, which forwards the dependencies
+// they report to babel-watch. See `hookWorkers`.
+const WORKER_DATA_KEY = "babel-watch";
+let parentThread /*: ?{ port: any, channel: Object, options: Object } */ = null;
+
+// babel-watch forks the runner with an extra pipe the runner asks for files
+// through, and which babel-watch writes transpiled files to, see
+// source-channel.js. Threads started by the app share it, `sourceChannelData`
+// is what they need to open it.
+const SOURCE_FD = 4;
+let sourceChannelData /*: ?{ fd: number, lock: any } */ = null;
+let sourceChannel /*: any */ = null;
+// Where the ESM loader thread posts the source maps of the files it loads
+let esmLoaderPort = null;
 
-let pipeFd;
-const BUFFER = new Buffer.alloc(10 * 1024);
+// Processes forked by the app load this file with `--require` and ask the
+// process that forked them for files through a pipe set up the same way, its
+// fd and the options of the runner are passed in this environment variable.
+// See `hookChildProcesses`.
+const FORKED_ENV = "BABEL_WATCH_FORKED";
+let forked = false;
 
 // $FlowIgnore Flow doesn't recognize require.extensions
 const reqExtensions /*: any */ = require.extensions;
@@ -16,61 +53,254 @@ const reqExtensions /*: any */ = require.extensions;
 // Node by default uses '.js' loader to load all the files with unknown extensions
 const DEFAULT_LOADER = reqExtensions[".js"];
 
-function readLength(fd) {
-  let bytes = 0;
-  while (typeof bytes === "number" && bytes !== 4) {
-    // $FlowIgnore position can be null
-    bytes = fs.readSync(fd, BUFFER, 0, 4, null);
-  }
-  return BUFFER.readUInt32BE(0);
-}
-
-function readFileFromPipeSync(fd) {
-  let length = readLength(fd);
-  let result = Buffer.alloc(0);
-  while (length > 0) {
-    // $FlowIgnore position can be null
-    const newBytes = fs.readSync(
-      fd,
-      BUFFER,
-      0,
-      Math.min(BUFFER.length, length)
-    );
-    length -= newBytes;
-    result = Buffer.concat([result, BUFFER], result.length + newBytes);
-  }
-  return result.toString();
+function openSourceChannel(fd, lock) {
+  sourceChannelData = { fd, lock };
+  sourceChannel = createSourceChannel(fd, lock);
 }
 
-function babelWatchLoader(module_, filename, defaultHandler) {
+// Resolves to the transpiled code of `filename`, "" for files to load as is
+// and null for files that failed to compile
+function requestSourceSync(filename) /*: ?string */ {
   // apparently require loader needs to be synchronous, which
   // complicates things a little bit as we need to get source
   // file from the parent process synchronously.
-  // The best method I've found so far is to use readFileSync on
-  // a named unix pipe (mkfifo). All the alternative ways would
+  // The best method I've found so far is to read synchronously from
+  // a pipe set up by the parent process. All the alternative ways would
   // require writing native code which usually brings large
   // dependencies to the project and I prefer to avoid that
-  //
+  // Packages linked into node_modules (e.g. workspaces) are compiled and
+  // watched at their real location
+  const { code, map } = sourceChannel.request(
+    inNodeModules(filename) ? fs.realpathSync(filename) : filename
+  );
+  // source-map-support only parses the map when it needs it
+  if (map) maps[filename] = map;
+  return code;
+}
+
+function inNodeModules(filename) {
+  return filename.split(path.sep).indexOf("node_modules") >= 0;
+}
+
+const reportedDependencies = new Set();
+// Local files mapped to the files that required them, used for hot updates
+const requiredBy = {};
+
+// Lets the parent process build the graph of which file required which, so it
+// can tell how a changed file is reached from the main script
+function reportDependency(parent, child) {
+  if (inNodeModules(child) && !isTranspiledModule(child)) return;
+  if (!requiredBy[child]) requiredBy[child] = new Set();
+  requiredBy[child].add(parent);
+  const edge = `${parent}\0${child}`;
+  if (reportedDependencies.has(edge)) return;
+  reportedDependencies.add(edge);
+  if (parentThread) {
+    parentThread.port.postMessage({ event: "dependency", parent, child });
+    return;
+  }
+  if (forked) {
+    // the IPC channel belongs to the app, filenames can't contain \0 so the
+    // process that forked us can tell dependencies from source requests
+    sourceChannel.send(edge);
+    return;
+  }
   // $FlowIgnore we know process.send exists b/c this is a child process
   process.send({
-    event: "babel-watch-filename",
-    filename: filename
+    event: "babel-watch-dependency",
+    parent,
+    child
   });
-  const source = readFileFromPipeSync(pipeFd);
-  const map = readFileFromPipeSync(pipeFd);
+}
+
+function hookRequire() {
+  const originalRequire = Module.prototype.require;
+  Module.prototype.require = function (id) {
+    const exports = originalRequire.apply(this, arguments);
+    if (this.filename) {
+      // resolution is cached by node at this point so it's cheap to repeat it
+      const filename = Module._resolveFilename(id, this);
+      if (path.isAbsolute(filename)) {
+        reportDependency(this.filename, filename);
+      }
+    }
+    return exports;
+  };
+}
+
+// Per-module state of the hot update API, see `module.hot` below
+const hotAcceptHandlers = {};
+const hotDisposeHandlers = {};
+const hotData = {};
+
+function createHotContext(filename) {
+  return {
+    // Data passed to the dispose handlers of the previous instance of the module
+    data: hotData[filename],
+    // Marks the module as replaceable in place. Changes in the module or in
+    // files it requires re-execute it instead of restarting the app. The
+    // optional handler is called when re-executing the module throws.
+    accept(errorHandler /*: ?Function */) {
+      hotAcceptHandlers[filename] = errorHandler || null;
+    },
+    // Registers a handler called with a `data` object before the module is
+    // replaced. Use it to release resources (servers, timers) held by the
+    // module and to pass state to the new instance as `module.hot.data`.
+    dispose(handler /*: Function */) {
+      if (!hotDisposeHandlers[filename]) hotDisposeHandlers[filename] = [];
+      hotDisposeHandlers[filename].push(handler);
+    }
+  };
+}
+
+// Walks up from the changed files to the closest modules that accept hot
+// updates. Returns the modules to evict and the ones to re-execute, or the
+// reason why the app has to be restarted instead.
+function planHotUpdate(files) {
+  const evicted = new Set();
+  const boundaries = new Set();
+  const queue = files.slice();
+  while (queue.length) {
+    const filename = queue.shift();
+    if (evicted.has(filename)) continue;
+    if (!require.cache[filename]) {
+      return {
+        reason: `${filename} is not a CommonJS module loaded by the app`,
+        evicted: null,
+        boundaries: null
+      };
+    }
+    evicted.add(filename);
+    if (filename in hotAcceptHandlers) {
+      boundaries.add(filename);
+      continue;
+    }
+    const parents = requiredBy[filename];
+    if (!parents || !parents.size) {
+      return {
+        reason: `no module accepts updates of ${filename}`,
+        evicted: null,
+        boundaries: null
+      };
+    }
+    parents.forEach(parent => queue.push(parent));
+  }
+  return { reason: null, evicted, boundaries };
+}
+
+function applyHotUpdate(files) {
+  const plan = planHotUpdate(files);
+  const { evicted, boundaries } = plan;
+  if (!evicted || !boundaries) return { ok: false, reason: plan.reason };
+  const parents = {};
+  const errorHandlers = {};
+  evicted.forEach(filename => {
+    const data = {};
+    (hotDisposeHandlers[filename] || []).forEach(handler => handler(data));
+    hotData[filename] = data;
+    errorHandlers[filename] = hotAcceptHandlers[filename];
+    delete hotDisposeHandlers[filename];
+    delete hotAcceptHandlers[filename];
+    const module_ = require.cache[filename];
+    parents[filename] = module_.parent;
+    if (module_.parent) {
+      module_.parent.children = module_.parent.children.filter(
+        child => child !== module_
+      );
+    }
+    delete require.cache[filename];
+  });
+  const reloaded = [];
+  for (const filename of boundaries) {
+    try {
+      Module._load(filename, parents[filename], false);
+      reloaded.push(filename);
+    } catch (error) {
+      delete require.cache[filename];
+      // The new instance may have failed before calling `accept`
+      const errorHandler =
+        hotAcceptHandlers[filename] || errorHandlers[filename];
+      if (!errorHandler) {
+        return {
+          ok: false,
+          reason: `re-executing ${filename} failed: ${error.stack || error}`
+        };
+      }
+      errorHandler(error);
+    }
+  }
+  return { ok: true, reloaded };
+}
+
+// Thrown instead of running the original code of a file that failed to
+// compile, babel-watch already reported the error
+function compileFailedError(filename) {
+  const error = new Error(
+    `${filename} failed to compile, see the error reported by babel-watch`
+  );
+  // the stack would only point to babel-watch internals
+  error.stack = `Error: ${error.message}`;
+  return error;
+}
+
+function babelWatchLoader(module_, filename, defaultHandler) {
+  if (hot) {
+    module_.hot = createHotContext(filename);
+  }
+  const source = requestSourceSync(filename);
+  if (source == null) throw compileFailedError(filename);
   if (source) {
-    maps[filename] = map && JSON.parse(map);
     module_._compile(source, filename);
   } else {
     defaultHandler(module_, filename);
   }
 }
 
+// Dependencies reported by another thread, and source maps of the files the
+// ESM loader thread loaded for this one
+function handleThreadMessage(message) {
+  if (message.event === "dependency") {
+    reportDependency(message.parent, message.child);
+  } else if (message.event === "map") {
+    maps[message.filename] = message.map;
+  }
+}
+
+function relayThreadMessages(port) {
+  port.on("message", handleThreadMessage);
+  port.unref();
+}
+
+// ES modules are loaded by node's ESM loader which doesn't go through
+// `require.extensions`. We register loader hooks (see esm-loader.mjs) that
+// run on a separate thread. They ask babel-watch for sources themselves, as
+// this thread may be blocked waiting for them, e.g. when node finds ES module
+// syntax in a file it loads as CommonJS.
+function registerEsmHooks(options) {
+  // `module.register` is only available since node 18.19 / 20.6
+  if (typeof Module.register !== "function") return;
+  const { port1, port2 } = new MessageChannel();
+  relayThreadMessages(port1);
+  esmLoaderPort = port1;
+  Module.register(
+    url.pathToFileURL(path.resolve(__dirname, "esm-loader.mjs")).href,
+    {
+      data: {
+        port: port2,
+        channel: sourceChannelData,
+        transpileExtensions: options.transpileExtensions,
+        transpileModules: options.transpileModules
+      },
+      transferList: [port2]
+    }
+  );
+}
+
 function registerExtension(ext) {
   const defaultHandler = reqExtensions[ext] || DEFAULT_LOADER;
   reqExtensions[ext] = (module_, filename) => {
     // ignore node_modules by default. don't you dare contacting the parent process!
-    if (filename.split(path.sep).indexOf("node_modules") < 0) {
+    if (!inNodeModules(filename) || isTranspiledModule(filename)) {
       babelWatchLoader(module_, filename, defaultHandler);
     } else {
       defaultHandler(module_, filename);
@@ -88,6 +318,144 @@ function registerExtension(ext) {
   };
 }
 
+// Flags of this process node doesn't accept for workers, e.g. V8 flags like
+// `--max-old-space-size`. They apply to the workers anyway.
+let invalidWorkerFlags = [];
+
+function inheritedWorkerFlags() {
+  return process.execArgv.filter(flag => !invalidWorkerFlags.includes(flag));
+}
+
+// Makes the workers started by the app load this file first, so they get the
+// same hooks as the thread that started them and share its source channel.
+function hookWorkers(options) {
+  const OriginalWorker = workerThreads.Worker;
+  // Not a subclass, as the worker may have to be constructed twice, see below
+  function Worker(filename, workerOptions = {}) {
+    const { port1, port2 } = new MessageChannel();
+    relayThreadMessages(port1);
+    const construct = execArgv =>
+      Reflect.construct(
+        OriginalWorker,
+        [
+          filename,
+          {
+            ...workerOptions,
+            execArgv: execArgv.includes(__filename)
+              ? execArgv
+              : execArgv.concat(["--require", __filename]),
+            workerData: {
+              [WORKER_DATA_KEY]: {
+                port: port2,
+                channel: sourceChannelData,
+                options
+              },
+              workerData: workerOptions.workerData
+            },
+            transferList: (workerOptions.transferList || []).concat(port2)
+          }
+        ],
+        // the subclass of the app, when it extends Worker
+        this instanceof Worker ? this.constructor : OriginalWorker
+      );
+    let worker;
+    if (workerOptions.execArgv) {
+      worker = construct(workerOptions.execArgv);
+    } else {
+      // Workers inherit the flags of this thread, but node rejects the ones
+      // applying to the whole process when they are passed explicitly
+      try {
+        worker = construct(inheritedWorkerFlags());
+      } catch (error) {
+        if (error.code !== "ERR_WORKER_INVALID_EXEC_ARGV") throw error;
+        // the message lists them, e.g. "...flags: --max-old-space-size=512"
+        invalidWorkerFlags = error.message
+          .slice(error.message.indexOf(": ") + 2)
+          .split(", ");
+        worker = construct(inheritedWorkerFlags());
+      }
+    }
+    worker.once("exit", () => port1.close());
+    return worker;
+  }
+  // `instanceof Worker` and subclasses of it keep working
+  Object.setPrototypeOf(Worker, OriginalWorker);
+  Worker.prototype = OriginalWorker.prototype;
+  workerThreads.Worker = Worker;
+}
+
+// Answers the requests of a process forked by the app, sent over `channel`
+// the same way this process sends them to babel-watch
+function relaySourcesToChildProcess(channel) {
+  let request = Buffer.alloc(0);
+  channel.on("data", chunk => {
+    request = request.length ? Buffer.concat([request, chunk]) : chunk;
+    while (
+      request.length >= 4 &&
+      request.length >= 4 + request.readUInt32BE(0)
+    ) {
+      const end = 4 + request.readUInt32BE(0);
+      const [filename, child] = request.toString("utf8", 4, end).split("\0");
+      request = request.subarray(end);
+      if (child) {
+        reportDependency(filename, child);
+        continue;
+      }
+      const code = requestSourceSync(filename);
+      const map = (code && maps[filename]) || "";
+      const header = Buffer.allocUnsafe(8);
+      header.writeUInt32BE(
+        code == null ? COMPILE_FAILED : Buffer.byteLength(code),
+        0
+      );
+      header.writeUInt32BE(Buffer.byteLength(map), 4);
+      channel.write(Buffer.concat([header, Buffer.from((code || "") + map)]));
+    }
+  });
+  // Writes fail once the process exited, there is no one left to read them
+  channel.on("error", () => {});
+  // the forked process keeps this one alive, unless the app unrefs it
+  channel.unref();
+}
+
+// Makes `child_process.fork` load this file first in the forked process, so
+// that it gets the same hooks as the app. Its requests are relayed by this
+// process, which has to be free to answer them.
+function hookChildProcesses(options) {
+  const originalFork = childProcess.fork;
+  // $FlowIgnore flow-bin we use thinks it isn't writable
+  childProcess.fork = function fork(modulePath, args, forkOptions) {
+    // same optional arguments as node's `fork`
+    if (args == null) {
+      args = [];
+    } else if (!Array.isArray(args)) {
+      forkOptions = args;
+      args = [];
+    }
+    forkOptions = forkOptions || {};
+    const execArgv = forkOptions.execArgv || process.execArgv;
+    let stdio = forkOptions.stdio;
+    if (!Array.isArray(stdio)) {
+      stdio = stdio || (forkOptions.silent ? "pipe" : "inherit");
+      stdio = [stdio, stdio, stdio, "ipc"];
+    }
+    const fd = stdio.length;
+    const child = originalFork.call(this, modulePath, args, {
+      ...forkOptions,
+      execArgv: execArgv.includes(__filename)
+        ? execArgv
+        : execArgv.concat(["--require", __filename]),
+      stdio: stdio.concat("pipe"),
+      env: {
+        ...(forkOptions.env || process.env),
+        [FORKED_ENV]: JSON.stringify({ fd, options })
+      }
+    });
+    relaySourcesToChildProcess(child.stdio[fd]);
+    return child;
+  };
+}
+
 function replaceExtensionHooks(extensions) {
   for (const ext in reqExtensions) {
     registerExtension(ext);
@@ -100,14 +468,32 @@ function replaceExtensionHooks(extensions) {
   }
 }
 
-process.on("message", options => {
-  if (!options || options.event !== "babel-watch-start") return;
+function installHooks(options) {
+  isTranspiledModule = createPackageMatcher(options.transpileModules);
   replaceExtensionHooks(options.transpileExtensions);
+  hookRequire();
+  registerEsmHooks(options);
+  hookWorkers(options);
+  hookChildProcesses(options);
+  // keeps named imports like `import { Worker } from "worker_threads"` in sync
+  Module.syncBuiltinESMExports();
   sourceMapSupport.install({
     environment: "node",
     hookRequire: options.debug,
     handleUncaughtExceptions: !!options.handleUncaughtExceptions,
     retrieveSourceMap(filename) {
+      // stack frames of ES modules use file URLs instead of paths
+      if (filename.startsWith("file:")) {
+        filename = url.fileURLToPath(filename);
+      }
+      // the maps the ESM loader thread posted while this thread was busy
+      let received;
+      while (
+        esmLoaderPort &&
+        (received = workerThreads.receiveMessageOnPort(esmLoaderPort))
+      ) {
+        handleThreadMessage(received.message);
+      }
       const map = maps && maps[filename];
       if (map) {
         return {
@@ -120,9 +506,116 @@ process.on("message", options => {
   });
   // We don't allow for source-map-support library to be reinitialized (see comment in registerExtension function)
   sourceMapSupport.install = () => {};
+}
 
-  pipeFd = fs.openSync(options.pipe, "r");
-  process.argv = ["node"].concat(options.args);
-  // $FlowIgnore doesn't recognize 'module' as it is internal
-  require("module").runMain();
-});
+let shutdownHandshake = false;
+let shuttingDown = false;
+
+// Asks the app to shut down, the process exits once it acknowledges it
+function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  process.emit("babel-watch-shutdown", () => process.exit(0));
+}
+
+// Sends the memory (RSS, in bytes) and CPU usage (in percent of a core since
+// the previous sample) of the app every `interval` ms, see watchdog.js
+function reportResources(interval) {
+  let lastUsage = process.cpuUsage();
+  let lastTime = Date.now();
+  const timer = setInterval(() => {
+    if (!process.connected) return;
+    const usage = process.cpuUsage();
+    const now = Date.now();
+    const cpuTime =
+      (usage.user - lastUsage.user + usage.system - lastUsage.system) / 1000;
+    const cpu = Math.round((cpuTime / Math.max(now - lastTime, 1)) * 100);
+    lastUsage = usage;
+    lastTime = now;
+    // $FlowIgnore we know process.send exists b/c this is a child process
+    process.send({
+      event: "babel-watch-resources",
+      rss: process.memoryUsage().rss,
+      cpu
+    });
+  }, interval);
+  // the app exits on its own once it's done, sampling or not
+  // $FlowIgnore flow-bin we use thinks timers are numbers
+  timer.unref();
+}
+
+if (workerThreads.isMainThread && require.main === module) {
+  // Apps that need to clean up before exiting (e.g. drain connections) can
+  // listen for the "babel-watch-shutdown" process event and call the function
+  // passed to the listener when done. babel-watch then asks them to shut down
+  // instead of sending them a signal.
+  process.on("newListener", event => {
+    if (event !== "babel-watch-shutdown" || shutdownHandshake) return;
+    shutdownHandshake = true;
+    // $FlowIgnore we know process.send exists b/c this is a child process
+    process.send({ event: "babel-watch-shutdown-listener" });
+    // Ctrl+C reaches the whole process group, leave it to the parent process
+    // to shut the app down
+    process.on("SIGINT", () => {});
+    // The parent process is gone, there is no one else to ask for a shutdown
+    process.on("disconnect", shutdown);
+  });
+
+  process.on("message", message => {
+    if (message && message.event === "babel-watch-shutdown") shutdown();
+  });
+
+  // With `--zero-downtime`, the app emits the "babel-watch-ready" process event
+  // once it can take over from the previous app (e.g. when its server listens)
+  process.on("babel-watch-ready", () => {
+    // $FlowIgnore we know process.send exists b/c this is a child process
+    process.send({ event: "babel-watch-ready" });
+  });
+
+  process.on("message", message => {
+    if (!message || message.event !== "babel-watch-hot-update") return;
+    let result;
+    try {
+      result = applyHotUpdate(message.files);
+    } catch (error) {
+      result = { ok: false, reason: error.stack || String(error) };
+    }
+    // $FlowIgnore we know process.send exists b/c this is a child process
+    process.send({ event: "babel-watch-hot-update-result", ...result });
+  });
+
+  process.on("message", options => {
+    if (!options || options.event !== "babel-watch-start") return;
+    hot = !!options.hot;
+    openSourceChannel(SOURCE_FD, createLock());
+    installHooks(options);
+    if (options.resourceInterval) reportResources(options.resourceInterval);
+    process.argv = ["node"].concat(options.args);
+    // $FlowIgnore doesn't recognize 'runMain' as it is internal
+    Module.runMain();
+  });
+} else if (workerThreads.isMainThread && process.env[FORKED_ENV]) {
+  // preloaded in a process forked by the app
+  const { fd, options } = JSON.parse(String(process.env[FORKED_ENV]));
+  openSourceChannel(fd, createLock());
+  forked = true;
+  // processes it forks get their own channel
+  delete process.env[FORKED_ENV];
+  installHooks(options);
+} else if (
+  // node's own threads, like the ESM loader's, inherit `--require` as well
+  workerThreads.workerData &&
+  workerThreads.workerData[WORKER_DATA_KEY]
+) {
+  const { workerData } = workerThreads;
+  parentThread = workerData[WORKER_DATA_KEY];
+  openSourceChannel(parentThread.channel.fd, parentThread.channel.lock);
+  // the app's code gets the data it passed to the worker
+  workerThreads.workerData = workerData.workerData;
+  Module.syncBuiltinESMExports();
+  installHooks({
+    ...parentThread.options,
+    // uncaught exceptions are reported to the thread that started the worker
+    handleUncaughtExceptions: false
+  });
+}
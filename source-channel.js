@@ -0,0 +1,101 @@
+// @flow
+/* global Atomics, SharedArrayBuffer */
+
+"use strict";
+
+const fs = require("fs");
+
+// Each reply of babel-watch starts with the byte lengths of the code and of
+// the source map as UInt32BE, see `encodeSource` in index.js
+const HEADER_SIZE = 8;
+// Code length babel-watch replies with for files that failed to compile
+const COMPILE_FAILED = 0xffffffff;
+
+// Synchronous requests over the pipe babel-watch set up at `fd`. The pipe
+// belongs to the process, so every thread of the app (the ESM loader's
+// included) talks to babel-watch directly instead of waiting for another
+// thread to be free to relay its requests. The threads pass the same `lock`,
+// from `createLock`, so that requests and replies of different threads don't
+// interleave.
+function createSourceChannel(
+  fd /*: number */,
+  lock /*: SharedArrayBuffer */
+) /*: Object */ {
+  // $FlowIgnore flow-bin we use doesn't know about shared typed arrays
+  const state = new Int32Array(lock);
+  const header = Buffer.alloc(HEADER_SIZE);
+
+  function acquire() {
+    while (Atomics.compareExchange(state, 0, 0, 1) !== 0) {
+      Atomics.wait(state, 0, 1);
+    }
+  }
+
+  function release() {
+    Atomics.store(state, 0, 0);
+    Atomics.notify(state, 0, 1);
+  }
+
+  function readSync(buffer) {
+    let offset = 0;
+    while (offset < buffer.length) {
+      const length = buffer.length - offset;
+      // $FlowIgnore position can be null
+      const bytes = fs.readSync(fd, buffer, offset, length, null);
+      if (bytes === 0) {
+        throw new Error("babel-watch closed the source channel");
+      }
+      offset += bytes;
+    }
+  }
+
+  function writeSync(payload) {
+    const length = Buffer.byteLength(payload);
+    const message = Buffer.allocUnsafe(4 + length);
+    message.writeUInt32BE(length, 0);
+    message.write(payload, 4);
+    fs.writeSync(fd, message);
+  }
+
+  // Sends `payload` without waiting for a reply
+  function send(payload /*: string */) {
+    acquire();
+    try {
+      writeSync(payload);
+    } finally {
+      release();
+    }
+  }
+
+  // The transpiled code of `filename` and its JSON source map. The code is ""
+  // for files to load as is and null for files that failed to compile.
+  function request(
+    filename /*: string */
+  ) /*: { code: ?string, map: string } */ {
+    acquire();
+    try {
+      writeSync(filename);
+      readSync(header);
+      const codeLength = header.readUInt32BE(0);
+      const mapLength = header.readUInt32BE(4);
+      if (codeLength === COMPILE_FAILED) return { code: null, map: "" };
+      if (codeLength === 0) return { code: "", map: "" };
+      const message = Buffer.allocUnsafe(codeLength + mapLength);
+      readSync(message);
+      return {
+        code: message.toString("utf8", 0, codeLength),
+        map: message.toString("utf8", codeLength)
+      };
+    } finally {
+      release();
+    }
+  }
+
+  return { send, request };
+}
+
+function createLock() /*: SharedArrayBuffer */ {
+  return new SharedArrayBuffer(4);
+}
+
+module.exports = { createSourceChannel, createLock, COMPILE_FAILED };
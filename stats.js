@@ -0,0 +1,140 @@
+// @flow
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// Number of slowest files shown after a restart and kept in the stats file
+const SLOWEST_FILES = 3;
+const SLOWEST_FILES_IN_FILE = 10;
+
+function slowest(files, count) {
+  return files
+    .slice()
+    .sort((a, b) => b.time - a.time)
+    .slice(0, count);
+}
+
+// Collects the timings of a single restart, from the change that caused it
+// until the new app is done loading modules
+function createRestartStats(startedAt /*: number */) /*: Object */ {
+  const compiledFiles = [];
+  let fromCache = 0;
+  let fromDiskCache = 0;
+  let modules = 0;
+  let spawnedAt = 0;
+  let firstLoadAt = 0;
+  let lastLoadAt = 0;
+
+  return {
+    addSpawn() {
+      spawnedAt = Date.now();
+    },
+    addLoad() {
+      lastLoadAt = Date.now();
+      if (!firstLoadAt) firstLoadAt = lastLoadAt;
+      modules++;
+    },
+    addCompiled(filename /*: string */, time /*: number */) {
+      compiledFiles.push({ file: filename, time });
+    },
+    addCacheHit(filename /*: string */) {
+      // files compiled earlier in this restart, before the app asked for them
+      if (compiledFiles.some(({ file }) => file === filename)) return;
+      fromCache++;
+    },
+    addDiskCacheHit() {
+      fromDiskCache++;
+    },
+    hasLoads() {
+      return firstLoadAt !== 0;
+    },
+    summary(cwd /*: string */) {
+      return {
+        // from the change, or the restart request, to the first module the
+        // new app loads
+        restartTime: firstLoadAt - startedAt,
+        // from spawning the app to the first module it loads
+        spawnTime: firstLoadAt - spawnedAt,
+        // from the first to the last module the app loads
+        loadTime: lastLoadAt - firstLoadAt,
+        modules,
+        compiled: compiledFiles.length,
+        compileTime: compiledFiles.reduce((sum, { time }) => sum + time, 0),
+        fromCache,
+        fromDiskCache,
+        slowestFiles: slowest(compiledFiles, SLOWEST_FILES_IN_FILE).map(
+          ({ file, time }) => ({ file: path.relative(cwd, file), time })
+        )
+      };
+    }
+  };
+}
+
+function formatStats(summary /*: Object */) /*: Array<string> */ {
+  const cached = summary.fromCache + summary.fromDiskCache;
+  const total = cached + summary.compiled;
+  const hitRate = total ? Math.round((cached / total) * 100) : 100;
+  const lines = [
+    `Restart stats: first module loaded after ${summary.restartTime}ms (${summary.spawnTime}ms after spawning the app), ${summary.modules} modules loaded in ${summary.loadTime}ms`,
+    `  ${summary.compiled} file(s) compiled in ${summary.compileTime}ms, ${summary.fromCache} from cache, ${summary.fromDiskCache} from disk cache (${hitRate}% hit rate)`
+  ];
+  if (summary.slowestFiles.length) {
+    lines.push(
+      "  slowest: " +
+        summary.slowestFiles
+          .slice(0, SLOWEST_FILES)
+          .map(({ file, time }) => `${file} (${time}ms)`)
+          .join(", ")
+    );
+  }
+  return lines;
+}
+
+// Adds up the stats of every restart, per entry, and writes them to
+// `filename` after each restart
+function createStatsFile(filename /*: string */) /*: Object */ {
+  const entries = {};
+
+  function add(entry /*: string */, summary /*: Object */) {
+    const totals = entries[entry] || {
+      restarts: 0,
+      modules: 0,
+      compiled: 0,
+      compileTime: 0,
+      fromCache: 0,
+      fromDiskCache: 0,
+      restartTime: 0,
+      averageRestartTime: 0,
+      slowestFiles: [],
+      lastRestart: null
+    };
+    totals.restarts++;
+    totals.modules += summary.modules;
+    totals.compiled += summary.compiled;
+    totals.compileTime += summary.compileTime;
+    totals.fromCache += summary.fromCache;
+    totals.fromDiskCache += summary.fromDiskCache;
+    totals.restartTime += summary.restartTime;
+    totals.averageRestartTime = Math.round(
+      totals.restartTime / totals.restarts
+    );
+    // the slowest compile of each file
+    const files = totals.slowestFiles.filter(
+      ({ file }) => !summary.slowestFiles.some(other => other.file === file)
+    );
+    summary.slowestFiles.forEach(({ file, time }) => {
+      const previous = totals.slowestFiles.find(other => other.file === file);
+      files.push({ file, time: Math.max(time, previous ? previous.time : 0) });
+    });
+    totals.slowestFiles = slowest(files, SLOWEST_FILES_IN_FILE);
+    totals.lastRestart = summary;
+    entries[entry] = totals;
+    fs.writeFileSync(filename, JSON.stringify(entries, null, 2) + "\n");
+  }
+
+  return { add };
+}
+
+module.exports = { createRestartStats, formatStats, createStatsFile };
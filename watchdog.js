@@ -0,0 +1,110 @@
+// @flow
+
+"use strict";
+
+const MB = 1024 * 1024;
+
+function formatMemory(bytes /*: number */) /*: string */ {
+  return `${Math.round(bytes / MB)}MB`;
+}
+
+// Checks the samples the app sends, see `reportResources` in runner.js,
+// against the limits: `maxMemory` in MB of RSS, and `maxCpu` in percent of a
+// core for `maxCpuDuration` ms. An app whose event loop is blocked can't send
+// samples, it counts as using the CPU the whole time (unless `blockedAfter` is
+// null, e.g. when it's paused by a debugger). That includes an app stuck
+// before its first sample, the watchdog being created when the app starts.
+//
+// `onExceeded(resource, reason)` is called once a limit is exceeded, then
+// again only after the app got back under it.
+function createWatchdog(
+  limits /*: {
+  maxMemory: ?number,
+  maxCpu: ?number,
+  maxCpuDuration: number,
+  blockedAfter: ?number
+} */,
+  onExceeded /*: (resource: string, reason: string) => void */
+) /*: Object */ {
+  const { maxMemory, maxCpu, maxCpuDuration, blockedAfter } = limits;
+  // Latest sample, `{ rss, cpu, time }`
+  let latest = null;
+  let peakRss = 0;
+  let cpuHighSince = 0;
+  let memoryExceeded = false;
+  let cpuExceeded = false;
+  let blockedTimer = null;
+  const startedAt = Date.now();
+
+  function checkMemory(rss) {
+    if (!maxMemory || rss <= maxMemory * MB) {
+      memoryExceeded = false;
+      return;
+    }
+    if (memoryExceeded) return;
+    memoryExceeded = true;
+    onExceeded(
+      "memory",
+      `memory usage of ${formatMemory(rss)} above the ${maxMemory}MB limit`
+    );
+  }
+
+  function checkCpu(cpu, time) {
+    if (!maxCpu || cpu < maxCpu) {
+      cpuHighSince = 0;
+      cpuExceeded = false;
+      return;
+    }
+    if (!cpuHighSince) cpuHighSince = time;
+    if (cpuExceeded || time - cpuHighSince < maxCpuDuration) return;
+    cpuExceeded = true;
+    onExceeded(
+      "cpu",
+      `CPU usage above ${maxCpu}% for ${Math.round(
+        (time - cpuHighSince) / 1000
+      )}s`
+    );
+  }
+
+  function handleBlocked() {
+    if (cpuExceeded) return;
+    cpuExceeded = true;
+    onExceeded(
+      "cpu",
+      `event loop blocked for ${Math.round(
+        (Date.now() - (latest ? latest.time : startedAt)) / 1000
+      )}s`
+    );
+  }
+
+  // Restarted by each sample
+  function waitForSample() {
+    if (!maxCpu || blockedAfter == null) return;
+    clearTimeout(blockedTimer);
+    blockedTimer = setTimeout(handleBlocked, blockedAfter);
+  }
+
+  function sample({ rss, cpu } /*: { rss: number, cpu: number } */) {
+    const time = Date.now();
+    latest = { rss, cpu, time };
+    peakRss = Math.max(peakRss, rss);
+    checkMemory(rss);
+    checkCpu(cpu, time);
+    waitForSample();
+  }
+
+  // The latest sample and the highest RSS so far, null before the first one
+  function usage() /*: ?{ rss: number, cpu: number, peakRss: number } */ {
+    return latest ? { rss: latest.rss, cpu: latest.cpu, peakRss } : null;
+  }
+
+  function stop() {
+    clearTimeout(blockedTimer);
+  }
+
+  waitForSample();
+
+  return { sample, usage, stop };
+}
+
+module.exports = { createWatchdog, formatMemory };
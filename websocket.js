@@ -0,0 +1,208 @@
+// @flow
+
+"use strict";
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const http = require("http");
+
+// Just enough of WebSocket (RFC 6455) to carry the DevTools protocol: text
+// messages, fragmented or not, pings and closing handshakes
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+function acceptKey(key) {
+  return crypto
+    .createHash("sha1")
+    .update(key + GUID)
+    .digest("base64");
+}
+
+function encodeFrame(opcode, payload, masked) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+    header.writeUInt32BE(length % 0x100000000, 6);
+  }
+  header[0] = 0x80 | opcode;
+  if (!masked) return Buffer.concat([header, payload]);
+  // Frames sent by clients must be masked
+  header[1] |= 0x80;
+  const mask = crypto.randomBytes(4);
+  const data = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) data[i] = payload[i] ^ mask[i % 4];
+  return Buffer.concat([header, mask, data]);
+}
+
+// Emits "message" (text) for each message received and "close" once the
+// connection is closed, whichever side closed it
+class WebSocket extends EventEmitter {
+  /*::
+  socket: net$Socket;
+  masked: boolean;
+  buffer: Buffer;
+  fragments: Array<Buffer>;
+  closed: boolean;
+  */
+
+  constructor(
+    socket /*: net$Socket */,
+    head /*: Buffer */,
+    masked /*: boolean */
+  ) {
+    super();
+    this.socket = socket;
+    this.masked = masked;
+    this.buffer = head;
+    this.fragments = [];
+    this.closed = false;
+    socket.setNoDelay(true);
+    socket.on("data", chunk => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.parse();
+    });
+    socket.on("error", () => socket.destroy());
+    socket.on("close", () => {
+      if (this.closed) return;
+      this.closed = true;
+      this.emit("close");
+    });
+    // data may have come along with the handshake
+    process.nextTick(() => this.parse());
+  }
+
+  parse() {
+    while (this.buffer.length >= 2 && !this.closed) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length =
+          this.buffer.readUInt32BE(2) * 0x100000000 +
+          this.buffer.readUInt32BE(6);
+        offset = 10;
+      }
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+      const payload = Buffer.from(
+        this.buffer.subarray(offset, offset + length)
+      );
+      if (masked) {
+        for (let i = 0; i < length; i++) {
+          payload[i] ^= this.buffer[maskOffset + (i % 4)];
+        }
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  handleFrame(fin /*: boolean */, opcode /*: number */, payload /*: Buffer */) {
+    if (opcode === OPCODE_PING) {
+      this.write(OPCODE_PONG, payload);
+    } else if (opcode === OPCODE_CLOSE) {
+      this.close();
+    } else if (opcode === OPCODE_TEXT || opcode === OPCODE_CONTINUATION) {
+      this.fragments.push(payload);
+      if (!fin) return;
+      const message = Buffer.concat(this.fragments).toString("utf8");
+      this.fragments = [];
+      this.emit("message", message);
+    }
+  }
+
+  write(opcode /*: number */, payload /*: Buffer */) {
+    if (this.closed || this.socket.destroyed) return;
+    this.socket.write(encodeFrame(opcode, payload, this.masked));
+  }
+
+  send(message /*: string */) {
+    this.write(OPCODE_TEXT, Buffer.from(message, "utf8"));
+  }
+
+  close() {
+    if (this.closed) return;
+    this.write(OPCODE_CLOSE, Buffer.alloc(0));
+    this.closed = true;
+    this.socket.end();
+    this.emit("close");
+  }
+}
+
+// Completes the handshake of an "upgrade" request received by an HTTP server
+function acceptWebSocket(
+  req /*: http$IncomingMessage<> */,
+  socket /*: net$Socket */,
+  head /*: Buffer */
+) /*: WebSocket */ {
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${acceptKey(
+        String(req.headers["sec-websocket-key"])
+      )}`,
+      "",
+      ""
+    ].join("\r\n")
+  );
+  return new WebSocket(socket, head, false);
+}
+
+// Resolves to a WebSocket connected to `url`, e.g. "ws://127.0.0.1:9229/<id>"
+function connectWebSocket(url /*: string */) /*: Promise<WebSocket> */ {
+  return new Promise((resolve, reject) => {
+    const { hostname, port, pathname } = new URL(url);
+    const key = crypto.randomBytes(16).toString("base64");
+    const req = http.request({
+      host: hostname,
+      port: Number(port),
+      path: pathname,
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Key": key,
+        "Sec-WebSocket-Version": "13"
+      }
+    });
+    req.on("upgrade", (res, socket, head) => {
+      if (res.headers["sec-websocket-accept"] !== acceptKey(key)) {
+        socket.destroy();
+        reject(new Error(`Unexpected WebSocket handshake from ${url}`));
+        return;
+      }
+      resolve(new WebSocket(socket, head, true));
+    });
+    req.on("response", res => {
+      res.resume();
+      reject(new Error(`${url} responded with status ${res.statusCode}`));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+module.exports = { acceptWebSocket, connectWebSocket };